@@ -1,11 +1,10 @@
 import pkg from "@aws-sdk/client-pinpoint";
+import { AWS_CLIENT } from "@taleofddh/constants";
 const { PinpointClient, SendMessageCommand } = pkg;
 
 class ChannelService {
-    constructor() {
-        this.client = new PinpointClient({
-            region: process.env['REGION']  || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new PinpointClient(AWS_CLIENT.getClientConfig(options));
         
         // Default configuration - can be overridden in methods
         this.defaultConfig = {
@@ -87,5 +86,8 @@ const channelService = new ChannelService();
 export const sendSMS = (options) => channelService.sendSMS(options);
 export const updateDefaultConfig = (config) => channelService.updateDefaultConfig(config);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createChannelService = (options) => new ChannelService(options);
+
 // Also export the class for backward compatibility
 export { ChannelService as Channel };
\ No newline at end of file
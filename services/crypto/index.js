@@ -1,10 +1,9 @@
 import { KMSClient, DecryptCommand, EncryptCommand } from "@aws-sdk/client-kms";
+import { AWS_CLIENT } from "@taleofddh/constants";
 
 class CryptoService {
-    constructor() {
-        this.client = new KMSClient({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new KMSClient(AWS_CLIENT.getClientConfig(options));
     }
 
     handleError(error, methodName, options = {}) {
@@ -69,6 +68,9 @@ const cryptoService = new CryptoService();
 export const decrypt = (env) => cryptoService.decrypt(env);
 export const encrypt = (plaintext, keyId, encryptionContext) => cryptoService.encrypt(plaintext, keyId, encryptionContext);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createCryptoService = (options) => new CryptoService(options);
+
 // Also export as default for backward compatibility (since original was default export)
 export default (env) => cryptoService.decrypt(env);
 
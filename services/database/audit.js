@@ -0,0 +1,180 @@
+import { TABLE_PATTERNS, REQUEST_ACTIONS } from "@taleofddh/constants";
+
+const isEqual = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Set && b instanceof Set) {
+        return a.size === b.size && [...a].every((value) => b.has(value));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        if (Array.isArray(a) !== Array.isArray(b)) {
+            return false;
+        }
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * Attribute-level differences between two item images: { attribute: { from, to } }.
+ * `from` is absent for added attributes and `to` for removed ones.
+ */
+export const diffItems = (before, after) => {
+    const changes = {};
+    const previous = before || {};
+    const next = after || {};
+    new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((attribute) => {
+        if (!isEqual(previous[attribute], next[attribute])) {
+            // Omit missing sides rather than storing undefined, which DynamoDB cannot marshall
+            changes[attribute] = {
+                ...(previous[attribute] !== undefined && { from: previous[attribute] }),
+                ...(next[attribute] !== undefined && { to: next[attribute] })
+            };
+        }
+    });
+    return changes;
+};
+
+// Per-process ordering of entries written within the same millisecond
+let lastCreatedAt = null;
+let sequence = 0;
+
+/**
+ * Sort key suffix: a zero-padded counter that restarts every millisecond keeps this process's entries in write
+ * order, and a random tiebreak keeps entries from concurrent processes apart
+ */
+const sortKeySuffix = (createdAt) => {
+    sequence = createdAt === lastCreatedAt ? sequence + 1 : 0;
+    lastCreatedAt = createdAt;
+    return `${String(sequence).padStart(6, '0')}${Math.random().toString(36).substring(2, 8)}`;
+};
+
+const keyString = (key) => Object.keys(key).sort().map((attribute) => key[attribute]).join('#');
+
+/**
+ * Records who did what to which entity in the audit trail table, and reads an entity's history back
+ */
+export class AuditTrail {
+    constructor(database, options = {}) {
+        this.database = database;
+        this.options = {
+            partitionKey: 'entity',
+            sortKey: 'timestamp',
+            ...options
+        };
+    }
+
+    get tableName() {
+        return this.options.tableName || TABLE_PATTERNS.getAuditTrailTable();
+    }
+
+    async record({ entityType, entityId, action, actor = null, before = null, after = null, correlationId, metadata }) {
+        const { partitionKey, sortKey } = this.options;
+        const createdAt = new Date().toISOString();
+        const entry = {
+            [partitionKey]: `${entityType}#${entityId}`,
+            [sortKey]: `${createdAt}#${sortKeySuffix(createdAt)}`,
+            entityType,
+            entityId: String(entityId),
+            action,
+            actor,
+            correlationId: correlationId || global.lambdaContext?.awsRequestId || null,
+            createdAt,
+            changes: diffItems(before, after),
+            before,
+            after,
+            ...(metadata && { metadata })
+        };
+
+        await this.database.put({
+            TableName: this.tableName,
+            Item: entry
+        }, { versioning: false });
+        return entry;
+    }
+
+    /**
+     * List an entity's audit entries in time order (oldest first unless order is 'desc')
+     */
+    async history(entityType, entityId, options = {}) {
+        const { partitionKey, sortKey } = this.options;
+        const { order = 'asc', from, to, limit, startKey } = options;
+        const params = {
+            TableName: this.tableName,
+            KeyConditionExpression: '#entity = :entity',
+            ExpressionAttributeNames: { '#entity': partitionKey },
+            ExpressionAttributeValues: { ':entity': `${entityType}#${entityId}` },
+            ScanIndexForward: order !== 'desc'
+        };
+
+        if (from || to) {
+            params.KeyConditionExpression += ' AND #timestamp BETWEEN :from AND :to';
+            params.ExpressionAttributeNames['#timestamp'] = sortKey;
+            params.ExpressionAttributeValues[':from'] = from || '0000';
+            // '~' sorts after the '#suffix' so entries in the final millisecond are included
+            params.ExpressionAttributeValues[':to'] = `${to || '9999'}~`;
+        }
+
+        return this.database.queryAll(params, { limit, startKey });
+    }
+
+    /**
+     * Wrap a database service so put/update/delete are audited automatically.
+     * Each wrapped call takes an optional audit context: { entityType, entityId, action, actor, correlationId }.
+     */
+    wrap(database = this.database, defaults = {}) {
+        const resolve = (params, context, key) => {
+            const tableName = params.TableName;
+            return {
+                entityType: context.entityType || defaults.entityType || tableName.substring(tableName.lastIndexOf('.') + 1),
+                entityId: context.entityId ?? keyString(key),
+                actor: context.actor ?? defaults.actor ?? null,
+                correlationId: context.correlationId ?? defaults.correlationId,
+                metadata: context.metadata
+            };
+        };
+        const itemKey = (item) => {
+            const attributes = defaults.keyAttributes || ['id'];
+            return Object.fromEntries(attributes.map((attribute) => [attribute, item[attribute]]));
+        };
+
+        return {
+            put: async (params, context = {}, options) => {
+                const data = await database.put({ ...params, ReturnValues: 'ALL_OLD' }, options);
+                const before = data?.Attributes || null;
+                await this.record({
+                    ...resolve(params, context, itemKey(params.Item)),
+                    action: context.action || (before ? REQUEST_ACTIONS.UPDATE : REQUEST_ACTIONS.CREATE),
+                    before,
+                    after: data?.Item || params.Item
+                });
+                return data;
+            },
+            update: async (params, context = {}, options) => {
+                // The before-image comes from the update itself. DynamoDB returns only one image per update, so the
+                // after-image is a consistent read straight after it
+                const before = await database.update({ ...params, ReturnValues: 'ALL_OLD' }, options);
+                const after = await database.get({ TableName: params.TableName, Key: params.Key, ConsistentRead: true });
+                await this.record({
+                    ...resolve(params, context, params.Key),
+                    action: context.action || REQUEST_ACTIONS.UPDATE,
+                    before: before || null,
+                    after
+                });
+                return after;
+            },
+            delete: async (params, context = {}) => {
+                const data = await database.delete({ ...params, ReturnValues: 'ALL_OLD' });
+                await this.record({
+                    ...resolve(params, context, params.Key),
+                    action: context.action || REQUEST_ACTIONS.DELETE,
+                    before: data?.Attributes || null,
+                    after: null
+                });
+                return data;
+            }
+        };
+    }
+}
@@ -0,0 +1,172 @@
+import { CACHE_CONFIG } from "@taleofddh/constants";
+import Logger from "@taleofddh/logger";
+
+// JSON with sorted object keys, so equal params and keys produce equal cache keys whatever their key order
+export const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value instanceof Set) {
+        return `{"$set":${stableStringify([...value].sort())}}`;
+    }
+    if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * In-process LRU cache for database reads. It lives as long as the DatabaseService holding it, so on the
+ * module singleton it survives warm Lambda invocations.
+ *
+ * Entries are tagged with the item keys (get, batchGet) or the table (query) they were read from; writes
+ * through the same service drop the entries for the written keys and every cached query of that table.
+ * Writes made elsewhere are only picked up when entries expire, so keep TTLs short for data that changes.
+ */
+export class DatabaseCache {
+    constructor(options = {}) {
+        this.options = {
+            maxEntries: 1000,
+            ttl: CACHE_CONFIG.DEFAULT_TTL,
+            // Tables cached without a per-call cache option: { [tableName]: true | ttlSeconds }
+            tables: {},
+            logger: Logger,
+            metricName: 'databaseCache',
+            // Log every hit and miss as it happens; otherwise counts are only logged by reportMetrics()
+            lookupMetrics: false,
+            ...options
+        };
+        this.entries = new Map();
+        this.tags = new Map();
+        // Key attribute names seen per table, to find the cached entries for a written item
+        this.keyAttributes = new Map();
+        this.counters = { hits: 0, misses: 0, evictions: 0 };
+        this.reported = { ...this.counters };
+    }
+
+    /**
+     * TTL in seconds for a read, or null when it should not be cached. The per-call option wins:
+     * false disables, true uses the default TTL, a number or a CACHE_CONFIG name ('SHORT_TTL') sets it.
+     */
+    ttlFor(tableName, option) {
+        const setting = option ?? this.options.tables[tableName] ?? this.options.tables[tableName.substring(tableName.lastIndexOf('.') + 1)];
+        if (setting === undefined || setting === false || setting === null) {
+            return null;
+        }
+        if (setting === true) {
+            return this.options.ttl;
+        }
+        const ttl = typeof setting === 'string' ? CACHE_CONFIG[setting] : setting;
+        return Math.min(ttl, CACHE_CONFIG.MAX_TTL);
+    }
+
+    itemTag(tableName, key) {
+        const attributes = this.keyAttributes.get(tableName) || Object.keys(key).sort();
+        return `item|${tableName}|${stableStringify(attributes.map((attribute) => key[attribute]))}`;
+    }
+
+    rememberKey(tableName, key) {
+        if (!this.keyAttributes.has(tableName)) {
+            this.keyAttributes.set(tableName, Object.keys(key).sort());
+        }
+    }
+
+    lookup(cacheKey, metadata = {}) {
+        const entry = this.entries.get(cacheKey);
+        const hit = entry !== undefined && entry.expiresAt > Date.now();
+        if (entry && !hit) {
+            this.remove(cacheKey);
+        }
+        if (hit) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(cacheKey);
+            this.entries.set(cacheKey, entry);
+            this.counters.hits++;
+        } else {
+            this.counters.misses++;
+        }
+        if (this.options.logger && this.options.lookupMetrics) {
+            this.options.logger.logMetric(`${this.options.metricName}.${hit ? 'hit' : 'miss'}`, 1, 'count', metadata);
+        }
+        // Copies keep callers that modify results from changing the cached value
+        return hit ? { hit, value: structuredClone(entry.value) } : { hit };
+    }
+
+    store(cacheKey, value, ttl, tags = []) {
+        this.remove(cacheKey);
+        this.entries.set(cacheKey, { value: structuredClone(value), expiresAt: Date.now() + ttl * 1000, tags });
+        tags.forEach((tag) => {
+            (this.tags.get(tag) || this.tags.set(tag, new Set()).get(tag)).add(cacheKey);
+        });
+
+        while (this.entries.size > this.options.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+            this.counters.evictions++;
+        }
+    }
+
+    remove(cacheKey) {
+        const entry = this.entries.get(cacheKey);
+        if (!entry) {
+            return;
+        }
+        this.entries.delete(cacheKey);
+        entry.tags.forEach((tag) => {
+            const keys = this.tags.get(tag);
+            keys.delete(cacheKey);
+            if (keys.size === 0) {
+                this.tags.delete(tag);
+            }
+        });
+    }
+
+    invalidateTag(tag) {
+        [...(this.tags.get(tag) || [])].forEach((cacheKey) => this.remove(cacheKey));
+    }
+
+    /**
+     * Drop what a write to the given key or item may have made stale
+     */
+    invalidate(tableName, keyOrItem) {
+        this.invalidateTag(this.tableTag(tableName));
+        if (keyOrItem && this.keyAttributes.has(tableName)) {
+            this.invalidateTag(this.itemTag(tableName, keyOrItem));
+        }
+    }
+
+    invalidateTable(tableName) {
+        [...this.entries.keys()].filter((cacheKey) => cacheKey.startsWith(`${tableName}|`)).forEach((cacheKey) => this.remove(cacheKey));
+    }
+
+    clear() {
+        this.entries.clear();
+        this.tags.clear();
+    }
+
+    stats() {
+        const { hits, misses, evictions } = this.counters;
+        return { hits, misses, evictions, size: this.entries.size, hitRate: hits + misses > 0 ? hits / (hits + misses) : 0 };
+    }
+
+    /**
+     * Log the hits and misses since the last report as one metric each, e.g. once at the end of an invocation
+     */
+    reportMetrics(metadata = {}) {
+        const since = Object.fromEntries(Object.entries(this.counters).map(([name, count]) => [name, count - this.reported[name]]));
+        this.reported = { ...this.counters };
+        if (this.options.logger) {
+            const details = { evictions: since.evictions, size: this.entries.size, ...metadata };
+            this.options.logger.logMetric(`${this.options.metricName}.hit`, since.hits, 'count', details);
+            this.options.logger.logMetric(`${this.options.metricName}.miss`, since.misses, 'count', details);
+        }
+        return since;
+    }
+
+    cacheKey(tableName, operation, params) {
+        return `${tableName}|${operation}|${stableStringify(params)}`;
+    }
+
+    tableTag(tableName) {
+        return `table|${tableName}`;
+    }
+}
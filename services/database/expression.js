@@ -0,0 +1,307 @@
+/**
+ * Fluent builder for DynamoDB update, condition, filter, key condition and projection expressions.
+ * Attribute names and values are always bound through generated placeholders (#n0, :v0, ...).
+ */
+
+const UPDATE_ACTION = Symbol('updateAction');
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Split a document path such as "address.lines[0]" into attribute names and list indexes.
+ * Pass an array to use attribute names that themselves contain dots or brackets.
+ */
+const parsePath = (path) => {
+    if (Array.isArray(path)) {
+        return path.map((segment) => (typeof segment === 'string' ? { name: segment, indexes: [] } : segment));
+    }
+    return String(path).split('.').map((segment) => {
+        const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(segment);
+        if (!match) {
+            throw new Error(`Invalid attribute path: ${path}`);
+        }
+        return { name: match[1], indexes: match[2] ? match[2].slice(1, -1).split('][').map(Number) : [] };
+    });
+};
+
+const updateAction = (type, value) => ({ [UPDATE_ACTION]: type, value });
+
+// Markers for ExpressionBuilder.update()
+export const increment = (by = 1) => updateAction('increment', by);
+export const decrement = (by = 1) => updateAction('increment', -by);
+export const append = (list) => updateAction('append', list);
+export const prepend = (list) => updateAction('prepend', list);
+export const ifNotExists = (value) => updateAction('ifNotExists', value);
+export const addToSet = (values) => updateAction('add', values);
+export const deleteFromSet = (values) => updateAction('delete', values);
+export const remove = () => updateAction('remove');
+
+const comparison = (operator) => (path, value) => ({
+    render: (builder) => `${builder.target(path)} ${operator} ${builder.operand(value)}`
+});
+
+// Condition nodes, usable for ConditionExpression, FilterExpression and KeyConditionExpression
+export const equals = comparison('=');
+export const notEquals = comparison('<>');
+export const lessThan = comparison('<');
+export const lessThanOrEqual = comparison('<=');
+export const greaterThan = comparison('>');
+export const greaterThanOrEqual = comparison('>=');
+
+export const between = (path, low, high) => ({
+    render: (builder) => `${builder.target(path)} BETWEEN ${builder.operand(low)} AND ${builder.operand(high)}`
+});
+
+export const isIn = (path, values) => ({
+    render: (builder) => `${builder.target(path)} IN (${values.map((value) => builder.operand(value)).join(', ')})`
+});
+
+export const attributeExists = (path) => ({
+    render: (builder) => `attribute_exists(${builder.name(path)})`
+});
+
+export const attributeNotExists = (path) => ({
+    render: (builder) => `attribute_not_exists(${builder.name(path)})`
+});
+
+export const attributeType = (path, type) => ({
+    render: (builder) => `attribute_type(${builder.name(path)}, ${builder.value(type)})`
+});
+
+export const beginsWith = (path, prefix) => ({
+    render: (builder) => `begins_with(${builder.name(path)}, ${builder.operand(prefix)})`
+});
+
+export const contains = (path, value) => ({
+    render: (builder) => `contains(${builder.name(path)}, ${builder.operand(value)})`
+});
+
+/**
+ * Reference another attribute, or an attribute's size, as either side of a comparison
+ */
+export const attribute = (path) => ({
+    operand: (builder) => builder.name(path)
+});
+
+export const size = (path) => ({
+    operand: (builder) => `size(${builder.name(path)})`
+});
+
+const joined = (operator, conditions) => ({
+    render: (builder) => {
+        const rendered = conditions.filter(Boolean).map((condition) => builder.render(condition));
+        return rendered.length === 1 ? rendered[0] : rendered.map((part) => `(${part})`).join(` ${operator} `);
+    }
+});
+
+export const and = (...conditions) => joined('AND', conditions);
+export const or = (...conditions) => joined('OR', conditions);
+
+export const not = (condition) => ({
+    render: (builder) => `NOT (${builder.render(condition)})`
+});
+
+export class ExpressionBuilder {
+    constructor() {
+        this.names = {};
+        this.values = {};
+        this.nameCount = 0;
+        this.valueCount = 0;
+        this.clauses = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+        this.conditions = [];
+        this.filters = [];
+        this.keyConditions = [];
+        this.projections = [];
+    }
+
+    name(path) {
+        return parsePath(path).map(({ name, indexes }) => {
+            let placeholder = Object.keys(this.names).find((key) => this.names[key] === name);
+            if (!placeholder) {
+                placeholder = `#n${this.nameCount++}`;
+                this.names[placeholder] = name;
+            }
+            return placeholder + indexes.map((index) => `[${index}]`).join('');
+        }).join('.');
+    }
+
+    value(value) {
+        const placeholder = `:v${this.valueCount++}`;
+        this.values[placeholder] = value;
+        return placeholder;
+    }
+
+    operand(value) {
+        return value && typeof value.operand === 'function' ? value.operand(this) : this.value(value);
+    }
+
+    target(path) {
+        return path && typeof path.operand === 'function' ? path.operand(this) : this.name(path);
+    }
+
+    render(condition) {
+        return typeof condition === 'string' ? condition : condition.render(this);
+    }
+
+    set(path, value) {
+        this.clauses.SET.push(`${this.name(path)} = ${this.value(value)}`);
+        return this;
+    }
+
+    setIfNotExists(path, value) {
+        const name = this.name(path);
+        this.clauses.SET.push(`${name} = if_not_exists(${name}, ${this.value(value)})`);
+        return this;
+    }
+
+    increment(path, by = 1) {
+        const name = this.name(path);
+        this.clauses.SET.push(`${name} = if_not_exists(${name}, ${this.value(0)}) + ${this.value(by)}`);
+        return this;
+    }
+
+    append(path, list) {
+        const name = this.name(path);
+        this.clauses.SET.push(`${name} = list_append(if_not_exists(${name}, ${this.value([])}), ${this.value(list)})`);
+        return this;
+    }
+
+    prepend(path, list) {
+        const name = this.name(path);
+        this.clauses.SET.push(`${name} = list_append(${this.value(list)}, if_not_exists(${name}, ${this.value([])}))`);
+        return this;
+    }
+
+    add(path, value) {
+        this.clauses.ADD.push(`${this.name(path)} ${this.value(value)}`);
+        return this;
+    }
+
+    deleteFromSet(path, values) {
+        this.clauses.DELETE.push(`${this.name(path)} ${this.value(values)}`);
+        return this;
+    }
+
+    remove(...paths) {
+        paths.forEach((path) => this.clauses.REMOVE.push(this.name(path)));
+        return this;
+    }
+
+    /**
+     * Turn a partial object into SET/REMOVE/ADD/DELETE clauses.
+     * undefined removes an attribute; markers such as increment() or append() pick the action.
+     * With { flatten: true } nested plain objects are updated path by path instead of replaced.
+     */
+    update(partial, options = {}, parentPath = null) {
+        Object.entries(partial).forEach(([key, value]) => {
+            const path = parentPath ? [...parentPath, key] : parsePath(key);
+            const action = value && value[UPDATE_ACTION];
+
+            if (value === undefined || action === 'remove') {
+                this.remove(path);
+            } else if (action === 'increment') {
+                this.increment(path, value.value);
+            } else if (action === 'append') {
+                this.append(path, value.value);
+            } else if (action === 'prepend') {
+                this.prepend(path, value.value);
+            } else if (action === 'ifNotExists') {
+                this.setIfNotExists(path, value.value);
+            } else if (action === 'add') {
+                this.add(path, value.value);
+            } else if (action === 'delete') {
+                this.deleteFromSet(path, value.value);
+            } else if (options.flatten && isPlainObject(value) && Object.keys(value).length > 0) {
+                this.update(value, options, path);
+            } else {
+                this.set(path, value);
+            }
+        });
+        return this;
+    }
+
+    condition(condition) {
+        this.conditions.push(this.render(condition));
+        return this;
+    }
+
+    filter(condition) {
+        this.filters.push(this.render(condition));
+        return this;
+    }
+
+    keyCondition(condition) {
+        this.keyConditions.push(this.render(condition));
+        return this;
+    }
+
+    project(...paths) {
+        paths.forEach((path) => this.projections.push(this.name(path)));
+        return this;
+    }
+
+    /**
+     * Produce the expression parameters, ready to spread into a command input
+     */
+    build() {
+        const params = {};
+        const combine = (parts) => (parts.length === 1 ? parts[0] : parts.map((part) => `(${part})`).join(' AND '));
+        const update = Object.entries(this.clauses)
+            .filter(([, clauses]) => clauses.length > 0)
+            .map(([keyword, clauses]) => `${keyword} ${clauses.join(', ')}`)
+            .join(' ');
+
+        if (update) {
+            params.UpdateExpression = update;
+        }
+        if (this.conditions.length > 0) {
+            params.ConditionExpression = combine(this.conditions);
+        }
+        if (this.filters.length > 0) {
+            params.FilterExpression = combine(this.filters);
+        }
+        if (this.keyConditions.length > 0) {
+            params.KeyConditionExpression = this.keyConditions.join(' AND ');
+        }
+        if (this.projections.length > 0) {
+            params.ProjectionExpression = this.projections.join(', ');
+        }
+        if (Object.keys(this.names).length > 0) {
+            params.ExpressionAttributeNames = { ...this.names };
+        }
+        if (Object.keys(this.values).length > 0) {
+            params.ExpressionAttributeValues = { ...this.values };
+        }
+        return params;
+    }
+}
+
+export const expression = () => new ExpressionBuilder();
+
+/**
+ * Merge an `expression` builder found on command params into the params themselves
+ */
+export const applyExpression = (params) => {
+    if (!params || !params.expression) {
+        return params;
+    }
+
+    const { expression: builder, ...rest } = params;
+    const built = typeof builder.build === 'function' ? builder.build() : builder;
+    const merged = { ...rest, ...built };
+
+    ['ConditionExpression', 'FilterExpression'].forEach((key) => {
+        if (rest[key] && built[key]) {
+            merged[key] = `(${rest[key]}) AND (${built[key]})`;
+        }
+    });
+    if (rest.ExpressionAttributeNames || built.ExpressionAttributeNames) {
+        merged.ExpressionAttributeNames = { ...rest.ExpressionAttributeNames, ...built.ExpressionAttributeNames };
+    }
+    if (rest.ExpressionAttributeValues || built.ExpressionAttributeValues) {
+        merged.ExpressionAttributeValues = { ...rest.ExpressionAttributeValues, ...built.ExpressionAttributeValues };
+    }
+    return merged;
+};
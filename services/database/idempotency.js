@@ -0,0 +1,203 @@
+import { createHash } from "crypto";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { TABLE_PATTERNS, CACHE_CONFIG, TIMEOUTS } from "@taleofddh/constants";
+import { ConflictError } from "@taleofddh/error";
+import { stableStringify } from "./cache.js";
+
+// Conditional puts attempted when the blocking record disappears before it can be read
+const CLAIM_ATTEMPTS = 3;
+
+const STATUS = {
+    IN_PROGRESS: 'IN_PROGRESS',
+    COMPLETED: 'COMPLETED'
+};
+
+// API Gateway bodies arrive as JSON strings; any other string (a plain-text body) is used as is
+const parseBody = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+const getPath = (source, path) => {
+    return path.split('.').reduce((current, segment) => {
+        if (current === undefined || current === null) {
+            return undefined;
+        }
+        return parseBody(current)[segment];
+    }, source);
+};
+
+/**
+ * Records in-progress and completed executions in the idempotency table so retried events
+ * (SQS redeliveries, client retries of POST requests) replay the stored response instead of running again
+ */
+export class IdempotencyStore {
+    constructor(database, options = {}) {
+        this.database = database;
+        this.options = {
+            keyAttribute: 'id',
+            // Which part of the event identifies a request: a dot path, a function, or the whole event
+            eventKey: null,
+            keyPrefix: process.env['AWS_LAMBDA_FUNCTION_NAME'] || 'default',
+            expiry: CACHE_CONFIG.LONG_TTL,
+            ...options
+        };
+    }
+
+    get tableName() {
+        return this.options.tableName || TABLE_PATTERNS.getIdempotencyTable();
+    }
+
+    /**
+     * Idempotency key for an event, or null when the configured part of the event is missing
+     */
+    keyFor(event) {
+        const { eventKey, keyPrefix } = this.options;
+        const value = typeof eventKey === 'function'
+            ? eventKey(event)
+            : eventKey ? getPath(event, eventKey) : event;
+        if (value === undefined || value === null) {
+            return null;
+        }
+        const hash = createHash('sha256').update(stableStringify(value)).digest('hex');
+        return `${keyPrefix}#${hash}`;
+    }
+
+    /**
+     * Run fn once per idempotency key; replays return the stored result of the first successful run
+     */
+    async execute(event, context, fn) {
+        const key = this.keyFor(event);
+        if (!key) {
+            return fn();
+        }
+
+        const existing = await this.begin(key, context);
+        if (existing) {
+            if (existing.status === STATUS.COMPLETED) {
+                return existing.response === null ? undefined : JSON.parse(existing.response);
+            }
+            throw new ConflictError('Request with the same idempotency key is already in progress', { idempotencyKey: key });
+        }
+
+        let result;
+        try {
+            result = await fn();
+        } catch (error) {
+            // Let a retry run again rather than replaying a failure; a failed cleanup is logged by the database
+            // service and must not hide the original error
+            await this.database.delete({
+                TableName: this.tableName,
+                Key: { [this.options.keyAttribute]: key }
+            }).catch(() => null);
+            throw error;
+        }
+
+        await this.complete(key, result);
+        return result;
+    }
+
+    /**
+     * Claim the key with an IN_PROGRESS record; returns the existing record if another execution holds it
+     */
+    async begin(key, context) {
+        for (let attempt = 1; ; attempt++) {
+            const { claimed, existing } = await this.claim(key, context);
+            if (claimed) {
+                return null;
+            }
+            if (existing) {
+                return existing;
+            }
+            // The blocking record expired or was released before it could be read, so try the claim again
+            if (attempt >= CLAIM_ATTEMPTS) {
+                throw new ConflictError('Idempotency key could not be claimed', { idempotencyKey: key });
+            }
+        }
+    }
+
+    // One conditional put: { claimed: true }, or { existing } with the blocking record (null once it is gone)
+    async claim(key, context) {
+        const now = Date.now();
+        const remaining = context && typeof context.getRemainingTimeInMillis === 'function'
+            ? context.getRemainingTimeInMillis()
+            : TIMEOUTS.DEFAULT_REQUEST_TIMEOUT;
+
+        try {
+            await this.database.put({
+                TableName: this.tableName,
+                Item: {
+                    [this.options.keyAttribute]: key,
+                    status: STATUS.IN_PROGRESS,
+                    inProgressExpiresAt: now + remaining,
+                    expiresAt: Math.floor(now / 1000) + this.options.expiry,
+                    createdAt: new Date(now).toISOString()
+                },
+                // TTL deletion lags, so expired records and abandoned in-progress claims count as absent
+                ConditionExpression: 'attribute_not_exists(#key) OR #expiresAt < :nowSeconds OR (#status = :inProgress AND #inProgressExpiresAt < :now)',
+                ExpressionAttributeNames: {
+                    '#key': this.options.keyAttribute,
+                    '#expiresAt': 'expiresAt',
+                    '#status': 'status',
+                    '#inProgressExpiresAt': 'inProgressExpiresAt'
+                },
+                ExpressionAttributeValues: {
+                    ':nowSeconds': Math.floor(now / 1000),
+                    ':inProgress': STATUS.IN_PROGRESS,
+                    ':now': now
+                },
+                ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+            }, { versioning: false });
+            return { claimed: true };
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            return {
+                existing: error.Item
+                    ? unmarshall(error.Item)
+                    : await this.database.get({ TableName: this.tableName, Key: { [this.options.keyAttribute]: key } })
+            };
+        }
+    }
+
+    async complete(key, result) {
+        await this.database.update({
+            TableName: this.tableName,
+            Key: { [this.options.keyAttribute]: key },
+            UpdateExpression: 'SET #status = :completed, #response = :response, #expiresAt = :expiresAt REMOVE #inProgressExpiresAt',
+            ExpressionAttributeNames: {
+                '#status': 'status',
+                '#response': 'response',
+                '#expiresAt': 'expiresAt',
+                '#inProgressExpiresAt': 'inProgressExpiresAt'
+            },
+            ExpressionAttributeValues: {
+                ':completed': STATUS.COMPLETED,
+                // Stored as JSON so responses with undefined or class values need no marshalling options
+                ':response': result === undefined ? null : JSON.stringify(result),
+                ':expiresAt': Math.floor(Date.now() / 1000) + this.options.expiry
+            }
+        }, { versioning: false });
+    }
+
+    /**
+     * Wrap a Lambda handler (or SQS record processor) so it runs once per idempotency key
+     */
+    wrap(handler) {
+        return async (event, context) => this.execute(event, context, () => handler(event, context));
+    }
+
+    /**
+     * Middleware for MiddlewareHelper.withMiddleware; place it after parsing and validation middleware
+     */
+    middleware() {
+        return async (event, context, next) => this.execute(event, context, () => next(event, context));
+    }
+}
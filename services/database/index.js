@@ -1,12 +1,125 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, BatchGetCommand, QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, BatchGetCommand, QueryCommand, ScanCommand, TransactWriteCommand, TransactGetCommand, ExecuteStatementCommand, BatchExecuteStatementCommand } from "@aws-sdk/lib-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { chunk, mapWithConcurrency } from "@taleofddh/array";
+import { AWS_CLIENT } from "@taleofddh/constants";
+import { ConflictError } from "@taleofddh/error";
+import { encodeCursor, decodeCursor } from "@taleofddh/cursor";
+import Logger from "@taleofddh/logger";
+import { applyExpression } from "./expression.js";
+import { SequenceGenerator } from "./sequence.js";
+import { AuditTrail, diffItems } from "./audit.js";
+import { MemoryDocumentClient } from "./memory.js";
+import { Repository } from "./model.js";
+import { createStreamHandler, parseStreamRecord } from "./stream.js";
+import { IdempotencyStore } from "./idempotency.js";
+import { TableTransfer } from "./transfer.js";
+import { resolveStatementTables } from "./partiql.js";
+import { DatabaseCache, stableStringify } from "./cache.js";
+
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_GET_LIMIT = 100;
+const BATCH_STATEMENT_LIMIT = 25;
+const RETRYABLE_ERRORS = ['ProvisionedThroughputExceededException', 'ThrottlingException', 'RequestLimitExceeded', 'InternalServerError', 'ServiceUnavailableException'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt, { baseDelay = 50, maxDelay = 5000 } = {}) => {
+    return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+};
+
+// BatchExecuteStatement reports these per statement rather than failing the call
+const RETRYABLE_STATEMENT_ERRORS = ['ProvisionedThroughputExceeded', 'ThrottlingError', 'RequestLimitExceeded', 'InternalServerError'];
+
+const isRetryableError = (error) => RETRYABLE_ERRORS.includes(error.name) || error.$retryable !== undefined;
+
+const keyId = (key, attributes = Object.keys(key).sort()) => {
+    return JSON.stringify(attributes.map((attribute) => [attribute, key[attribute]]));
+};
+
+// Maps TransactionCanceledException reason codes to error names ErrorHandler.handleError classifies
+const CANCELLATION_ERRORS = {
+    ConditionalCheckFailed: 'ConditionalCheckFailedException',
+    ItemCollectionSizeLimitExceeded: 'ItemCollectionSizeLimitExceededException',
+    TransactionConflict: 'ConflictError',
+    ProvisionedThroughputExceeded: 'ProvisionedThroughputExceededException',
+    ThrottlingError: 'ThrottlingException',
+    RequestLimitExceeded: 'ThrottlingException',
+    ValidationError: 'ValidationException'
+};
+
+const toTransactionError = (error, transactItems = []) => {
+    if (error.name !== 'TransactionCanceledException' || !error.CancellationReasons) {
+        return error;
+    }
+
+    error.errors = error.CancellationReasons.map((reason, index) => {
+        if (!reason.Code || reason.Code === 'None') {
+            return null;
+        }
+        const action = transactItems[index] || {};
+        const [type] = Object.keys(action);
+        const message = reason.Message || `Transaction item ${index} failed: ${reason.Code}`;
+        const itemError = reason.Code === 'TransactionConflict'
+            ? new ConflictError(message, { index, code: reason.Code })
+            : Object.assign(new Error(message), { name: CANCELLATION_ERRORS[reason.Code] || reason.Code });
+        itemError.index = index;
+        itemError.code = reason.Code;
+        itemError.action = type;
+        itemError.tableName = type ? action[type].TableName : undefined;
+        if (reason.Item) {
+            itemError.item = unmarshall(reason.Item);
+        }
+        return itemError;
+    });
+    return error;
+};
+
+const VERSION_NAME = '#lockVersion';
+const EXPECTED_VERSION_VALUE = ':lockExpectedVersion';
+const NEXT_VERSION_VALUE = ':lockNextVersion';
+
+const andCondition = (existing, condition) => (existing ? `(${existing}) AND (${condition})` : condition);
+
+const pick = (item, attributes) => {
+    return attributes.reduce((picked, attribute) => {
+        picked[attribute] = item[attribute];
+        return picked;
+    }, {});
+};
 
 class DatabaseService {
-    constructor() {
-        this.client = new DynamoDBClient({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
-        this.docClient = DynamoDBDocumentClient.from(this.client);
+    constructor(options = {}) {
+        this.client = options.client || new DynamoDBClient(AWS_CLIENT.getClientConfig(options));
+        // Any object with a document client's send(), e.g. MemoryDocumentClient for offline tests
+        this.docClient = options.documentClient || DynamoDBDocumentClient.from(this.client, options.translateConfig);
+        this.versioning = options.versioning;
+        // Read cache shared by everything using this instance; reads opt in per call or per table
+        this.cache = options.cache instanceof DatabaseCache ? options.cache : new DatabaseCache(options.cache);
+    }
+
+    /**
+     * Serve a read from the cache when its table or call opts in; read() must throw rather than return a fallback
+     */
+    async readThrough(tableName, operation, params, options, tags, read) {
+        const ttl = params.ConsistentRead ? null : this.cache.ttlFor(tableName, options.cache);
+        if (ttl === null) {
+            return read();
+        }
+        const cacheKey = this.cache.cacheKey(tableName, operation, params);
+        const cached = this.cache.lookup(cacheKey, { tableName, operation });
+        if (cached.hit) {
+            return cached.value;
+        }
+        const value = await read();
+        this.cache.store(cacheKey, value, ttl, tags);
+        return value;
+    }
+
+    // Drop cached reads a write may have made stale; writes: [tableName, key or item] pairs
+    invalidateCache(writes) {
+        writes.forEach(([tableName, keyOrItem]) => this.cache.invalidate(tableName, keyOrItem));
     }
 
     handleError(error, methodName, options = {}) {
@@ -25,45 +138,125 @@ class DatabaseService {
         throw error;
     }
 
-    async put(params) {
-        const command = new PutCommand(params);
+    // options.versioning: false opts a single call out of instance-wide versioning
+    versioningFor(options) {
+        const versioning = options.versioning ?? this.versioning;
+        if (!versioning) {
+            return null;
+        }
+        return { attribute: versioning.attribute || 'version' };
+    }
+
+    // Adds the version bump and matching condition to put/update params
+    applyVersioning(params, versioning, action, options) {
+        const { attribute } = versioning;
+        const expectedVersion = options.expectedVersion ?? (action === 'put' ? params.Item[attribute] : undefined);
+        const nextVersion = (expectedVersion || 0) + 1;
+        const versioned = {
+            ...params,
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+            ExpressionAttributeNames: { ...params.ExpressionAttributeNames, [VERSION_NAME]: attribute },
+            ExpressionAttributeValues: { ...params.ExpressionAttributeValues }
+        };
+
+        if (expectedVersion === undefined) {
+            versioned.ConditionExpression = andCondition(params.ConditionExpression, `attribute_not_exists(${VERSION_NAME})`);
+        } else {
+            versioned.ConditionExpression = andCondition(params.ConditionExpression, `${VERSION_NAME} = ${EXPECTED_VERSION_VALUE}`);
+            versioned.ExpressionAttributeValues[EXPECTED_VERSION_VALUE] = expectedVersion;
+        }
+
+        if (action === 'put') {
+            versioned.Item = { ...params.Item, [attribute]: nextVersion };
+        } else {
+            const setVersion = `${VERSION_NAME} = ${NEXT_VERSION_VALUE}`;
+            const updateExpression = params.UpdateExpression || '';
+            versioned.UpdateExpression = /\bSET\b/i.test(updateExpression)
+                ? updateExpression.replace(/\bSET\b/i, `SET ${setVersion},`)
+                : `${updateExpression} SET ${setVersion}`.trim();
+            versioned.ExpressionAttributeValues[NEXT_VERSION_VALUE] = nextVersion;
+        }
+        if (Object.keys(versioned.ExpressionAttributeValues).length === 0) {
+            delete versioned.ExpressionAttributeValues;
+        }
+
+        return { params: versioned, expectedVersion };
+    }
+
+    toVersionConflict(error, versioning, expectedVersion) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            return error;
+        }
+        const actualVersion = error.Item ? unmarshall(error.Item)[versioning.attribute] : undefined;
+        // The version matched, so one of the caller's own conditions failed instead
+        if (actualVersion === expectedVersion) {
+            return error;
+        }
+        const conflict = new ConflictError('Resource has been modified by another request', { expectedVersion, actualVersion });
+        conflict.expectedVersion = expectedVersion;
+        conflict.actualVersion = actualVersion;
+        conflict.cause = error;
+        return conflict;
+    }
+
+    async put(params, options = {}) {
+        const versioning = this.versioningFor(options);
+        const prepared = versioning
+            ? this.applyVersioning(applyExpression(params), versioning, 'put', options)
+            : { params: applyExpression(params) };
+        const command = new PutCommand(prepared.params);
 
         try {
-            return await this.docClient.send(command);
+            const data = await this.docClient.send(command);
+            return versioning ? { ...data, Item: prepared.params.Item } : data;
         } catch (error) {
-            this.handleError(error, 'put');
+            this.handleError(versioning ? this.toVersionConflict(error, versioning, prepared.expectedVersion) : error, 'put');
+        } finally {
+            this.invalidateCache([[params.TableName, params.Item]]);
         }
     }
 
-    async get(params) {
+    // options.throwOnError rethrows read failures instead of returning null, so callers can tell them from a missing item
+    async get(params, options = {}) {
         const command = new GetCommand(params);
+        this.cache.rememberKey(params.TableName, params.Key);
 
         try {
-            const data = await this.docClient.send(command);
-            return data.Item;
+            return await this.readThrough(params.TableName, 'get', params, options, [this.cache.itemTag(params.TableName, params.Key)], async () => {
+                const data = await this.docClient.send(command);
+                return data.Item;
+            });
         } catch (error) {
-            return this.handleError(error, 'get', { fallback: null });
+            return this.handleError(error, 'get', { fallback: options.throwOnError ? undefined : null });
         }
     }
 
-    async update(params) {
-        const command = new UpdateCommand(params);
+    async update(params, options = {}) {
+        const versioning = this.versioningFor(options);
+        const prepared = versioning
+            ? this.applyVersioning(applyExpression(params), versioning, 'update', options)
+            : { params: applyExpression(params) };
+        const command = new UpdateCommand(prepared.params);
 
         try {
             const data = await this.docClient.send(command);
             return data.Attributes;
         } catch (error) {
-            this.handleError(error, 'update');
+            this.handleError(versioning ? this.toVersionConflict(error, versioning, prepared.expectedVersion) : error, 'update');
+        } finally {
+            this.invalidateCache([[params.TableName, params.Key]]);
         }
     }
 
     async delete(params) {
-        const command = new DeleteCommand(params);
+        const command = new DeleteCommand(applyExpression(params));
 
         try {
             return await this.docClient.send(command);
         } catch (error) {
             this.handleError(error, 'delete');
+        } finally {
+            this.invalidateCache([[params.TableName, params.Key]]);
         }
     }
 
@@ -74,29 +267,229 @@ class DatabaseService {
             return await this.docClient.send(command);
         } catch (error) {
             this.handleError(error, 'batchWrite');
+        } finally {
+            this.invalidateCache(Object.entries(params.RequestItems).flatMap(([table, requests]) => {
+                return requests.map((request) => [table, request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key]);
+            }));
+        }
+    }
+
+    async batchWriteItems(requestItems, options = {}) {
+        const { concurrency = 4, maxRetries = 8, keyAttributes } = options;
+        const requests = Object.entries(requestItems).flatMap(([table, tableRequests]) => {
+            return tableRequests.map((request) => ({ table, request }));
+        });
+        const summary = { written: [], failed: [] };
+
+        const describeKey = ({ table, request }) => {
+            if (request.DeleteRequest) {
+                return request.DeleteRequest.Key;
+            }
+            const attributes = Array.isArray(keyAttributes) ? keyAttributes : keyAttributes?.[table];
+            return attributes ? pick(request.PutRequest.Item, attributes) : request.PutRequest.Item;
+        };
+        // UnprocessedItems need not keep the attribute order of the request, so entries are matched on their key
+        // with attributes sorted (the whole item for puts without keyAttributes)
+        const entryId = (entry) => `${entry.table}|${stableStringify(describeKey(entry))}`;
+        const toEntries = (items) => Object.entries(items).flatMap(([table, tableRequests]) => {
+            return tableRequests.map((request) => ({ table, request }));
+        });
+
+        const writeChunk = async (entries) => {
+            let pending = {};
+            entries.forEach(({ table, request }) => {
+                (pending[table] = pending[table] || []).push(request);
+            });
+            let attempt = 0;
+            // What is still pending failed with error; every other entry of the chunk was written
+            const settle = (error) => {
+                const failed = toEntries(pending);
+                const failedIds = new Set(failed.map(entryId));
+                failed.forEach((entry) => summary.failed.push({ table: entry.table, key: describeKey(entry), request: entry.request, error }));
+                entries.filter((entry) => !failedIds.has(entryId(entry))).forEach((entry) => {
+                    summary.written.push({ table: entry.table, key: describeKey(entry) });
+                });
+            };
+
+            while (Object.keys(pending).length > 0) {
+                try {
+                    const data = await this.docClient.send(new BatchWriteCommand({ RequestItems: pending }));
+                    // Resent exactly as returned, so nothing is lost when they cannot be matched to an entry
+                    pending = Object.fromEntries(Object.entries(data.UnprocessedItems || {}).filter(([, tableRequests]) => tableRequests.length > 0));
+                } catch (error) {
+                    if (!isRetryableError(error) || attempt >= maxRetries) {
+                        this.handleError(error, 'batchWriteItems', { fallback: null });
+                        return settle(error);
+                    }
+                }
+
+                if (Object.keys(pending).length > 0) {
+                    if (attempt >= maxRetries) {
+                        return settle(new Error(`Unprocessed after ${maxRetries} retries`));
+                    }
+                    await sleep(backoffDelay(attempt++, options));
+                }
+            }
+            settle(null);
+        };
+
+        try {
+            await mapWithConcurrency(chunk(requests, BATCH_WRITE_LIMIT), concurrency, writeChunk);
+        } finally {
+            this.invalidateCache(requests.map(({ table, request }) => [table, request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key]));
         }
+        return summary;
     }
 
-    async batchGet(params, table) {
+    async batchGet(params, table, options = {}) {
         const command = new BatchGetCommand(params);
+        const tags = Object.entries(params.RequestItems).flatMap(([tableName, { Keys }]) => {
+            Keys.forEach((key) => this.cache.rememberKey(tableName, key));
+            return Keys.map((key) => this.cache.itemTag(tableName, key));
+        });
 
         try {
-            const data = await this.docClient.send(command);
-            return data.Responses[table].map((item) => {
-                return item;
+            return await this.readThrough(table, 'batchGet', params, options, tags, async () => {
+                const data = await this.docClient.send(command);
+                return data.Responses[table].map((item) => {
+                    return item;
+                });
             });
         } catch (error) {
             return this.handleError(error, 'batchGet', { fallback: [] });
         }
     }
 
-    async query(params) {
-        const command = new QueryCommand(params);
+    async batchGetItems(requestItems, options = {}) {
+        const { concurrency = 4, maxRetries = 8, preserveOrder = false } = options;
+        const keyAttributes = {};
+        const requests = [];
+        const found = Object.fromEntries(Object.keys(requestItems).map((table) => [table, []]));
+        const unprocessedKeys = {};
+        // Keys are cached one by one, sharing entries with get() calls for the same key and projection
+        const cacheTtls = {};
+        const itemCacheKey = (table, key, tableParams) => this.cache.cacheKey(table, 'get', { TableName: table, Key: key, ...tableParams });
+
+        Object.entries(requestItems).forEach(([table, { Keys = [], ...tableParams }]) => {
+            keyAttributes[table] = Keys.length > 0 ? Object.keys(Keys[0]).sort() : [];
+            cacheTtls[table] = tableParams.ConsistentRead ? null : this.cache.ttlFor(table, options.cache);
+            const seen = new Set();
+            Keys.forEach((key) => {
+                // BatchGetItem rejects duplicate keys within a request
+                const id = keyId(key, keyAttributes[table]);
+                if (seen.has(id)) {
+                    return;
+                }
+                seen.add(id);
+                if (cacheTtls[table] !== null) {
+                    this.cache.rememberKey(table, key);
+                    const cached = this.cache.lookup(itemCacheKey(table, key, tableParams), { tableName: table, operation: 'batchGetItems' });
+                    if (cached.hit) {
+                        if (cached.value) {
+                            found[table].push(cached.value);
+                        }
+                        return;
+                    }
+                }
+                requests.push({ table, key, tableParams });
+            });
+        });
+
+        const getChunk = async (entries) => {
+            let pending = entries;
+            let attempt = 0;
+
+            while (pending.length > 0) {
+                const params = { RequestItems: {} };
+                pending.forEach(({ table, key, tableParams }) => {
+                    params.RequestItems[table] = params.RequestItems[table] || { ...tableParams, Keys: [] };
+                    params.RequestItems[table].Keys.push(key);
+                });
+
+                try {
+                    const data = await this.docClient.send(new BatchGetCommand(params));
+                    Object.entries(data.Responses || {}).forEach(([table, items]) => found[table].push(...items));
+                    pending = Object.entries(data.UnprocessedKeys || {}).flatMap(([table, { Keys, ...tableParams }]) => {
+                        return Keys.map((key) => ({ table, key, tableParams }));
+                    });
+                } catch (error) {
+                    if (!isRetryableError(error) || attempt >= maxRetries) {
+                        this.handleError(error, 'batchGetItems');
+                    }
+                }
+
+                if (pending.length > 0) {
+                    if (attempt >= maxRetries) {
+                        pending.forEach(({ table, key }) => (unprocessedKeys[table] = unprocessedKeys[table] || []).push(key));
+                        return;
+                    }
+                    await sleep(backoffDelay(attempt++, options));
+                }
+            }
+        };
+
+        await mapWithConcurrency(chunk(requests, BATCH_GET_LIMIT), concurrency, getChunk);
+
+        requests.filter(({ table }) => cacheTtls[table] !== null).forEach(({ table, key, tableParams }) => {
+            const id = keyId(key, keyAttributes[table]);
+            if ((unprocessedKeys[table] || []).some((unprocessed) => keyId(unprocessed, keyAttributes[table]) === id)) {
+                return;
+            }
+            const item = found[table].find((candidate) => keyId(candidate, keyAttributes[table]) === id);
+            this.cache.store(itemCacheKey(table, key, tableParams), item, cacheTtls[table], [this.cache.itemTag(table, key)]);
+        });
+
+        const responses = {};
+        Object.entries(requestItems).forEach(([table, { Keys = [] }]) => {
+            if (!preserveOrder) {
+                responses[table] = found[table];
+                return;
+            }
+            // Key attributes must be part of any ProjectionExpression for items to be matched back to their keys
+            const byKey = new Map(found[table].map((item) => [keyId(item, keyAttributes[table]), item]));
+            responses[table] = Keys.map((key) => byKey.get(keyId(key, keyAttributes[table])) || null);
+        });
+
+        return { responses, unprocessedKeys };
+    }
+
+    async transactWrite(params) {
+        const command = new TransactWriteCommand(params);
+
+        try {
+            return await this.docClient.send(command);
+        } catch (error) {
+            this.handleError(toTransactionError(error, params.TransactItems), 'transactWrite');
+        } finally {
+            // Guarded so a malformed request reports its own validation error rather than a TypeError from here
+            this.invalidateCache((params.TransactItems || []).filter((item) => item.Put || item.Update || item.Delete).map((item) => {
+                const { TableName, Key, Item } = item.Put || item.Update || item.Delete;
+                return [TableName, Key || Item];
+            }));
+        }
+    }
+
+    async transactGet(params) {
+        const command = new TransactGetCommand(params);
 
         try {
             const data = await this.docClient.send(command);
-            return data.Items.map((item) => {
-                return item;
+            return data.Responses.map((response) => response.Item || null);
+        } catch (error) {
+            this.handleError(toTransactionError(error, params.TransactItems), 'transactGet');
+        }
+    }
+
+    async query(params, options = {}) {
+        const queryParams = applyExpression(params);
+        const command = new QueryCommand(queryParams);
+
+        try {
+            return await this.readThrough(queryParams.TableName, 'query', queryParams, options, [this.cache.tableTag(queryParams.TableName)], async () => {
+                const data = await this.docClient.send(command);
+                return data.Items.map((item) => {
+                    return item;
+                });
             });
         } catch (error) {
             return this.handleError(error, 'query', { fallback: [] });
@@ -104,7 +497,7 @@ class DatabaseService {
     }
 
     async scan(params) {
-        const command = new ScanCommand(params);
+        const command = new ScanCommand(applyExpression(params));
 
         try {
             const data = await this.docClient.send(command);
@@ -116,8 +509,364 @@ class DatabaseService {
         }
     }
 
+    async *queryPages(params, options = {}) {
+        yield* this.paginate(QueryCommand, params, options, 'queryPages');
+    }
+
+    async *scanPages(params, options = {}) {
+        yield* this.paginate(ScanCommand, params, options, 'scanPages');
+    }
+
+    async queryAll(params, options = {}) {
+        return this.collectPages(this.queryPages(params, options), options);
+    }
+
+    async scanAll(params, options = {}) {
+        return this.collectPages(this.scanPages(params, options), options);
+    }
+
+    /**
+     * Scan a table as `segments` parallel Segment/TotalSegments workers, at most `concurrency` at once.
+     * Each worker follows its own pagination and hands every page to onItems(items, { segment, lastEvaluatedKey });
+     * returning false from onItems stops the scan. Progress and consumed capacity go to logger.logMetric.
+     */
+    async parallelScan(params, options = {}) {
+        const { segments = 4, concurrency = segments, onItems, maxRetries = 8, logger = Logger, metricName = 'parallelScan' } = options;
+        if (typeof onItems !== 'function') {
+            throw new Error('parallelScan requires an onItems callback; use parallelScanPages to iterate instead');
+        }
+
+        const baseParams = {
+            ReturnConsumedCapacity: 'TOTAL',
+            ...applyExpression(params),
+            TotalSegments: segments
+        };
+        const tableName = baseParams.TableName;
+        const started = Date.now();
+        const summary = { items: 0, scannedCount: 0, consumedCapacity: 0, pages: 0, segmentsCompleted: 0, stopped: false };
+
+        // Workers check summary.stopped before every request and retry, so a failed or stopped segment halts the rest
+        const scanSegment = async (segment) => {
+            let exclusiveStartKey;
+            do {
+                if (summary.stopped) {
+                    return;
+                }
+                const pageParams = { ...baseParams, Segment: segment };
+                if (exclusiveStartKey) {
+                    pageParams.ExclusiveStartKey = exclusiveStartKey;
+                }
+
+                let data;
+                for (let attempt = 0; !data; attempt++) {
+                    try {
+                        data = await this.docClient.send(new ScanCommand(pageParams));
+                    } catch (error) {
+                        if (!isRetryableError(error) || attempt >= maxRetries) {
+                            summary.stopped = true;
+                            this.handleError(error, 'parallelScan');
+                        }
+                        await sleep(backoffDelay(attempt, options));
+                        if (summary.stopped) {
+                            return;
+                        }
+                    }
+                }
+
+                const items = data.Items || [];
+                exclusiveStartKey = data.LastEvaluatedKey;
+                summary.items += items.length;
+                summary.scannedCount += data.ScannedCount ?? items.length;
+                summary.consumedCapacity += data.ConsumedCapacity?.CapacityUnits || 0;
+                summary.pages++;
+                logger.logMetric(`${metricName}.scannedCount`, summary.scannedCount, 'count', {
+                    tableName,
+                    segment,
+                    segments,
+                    items: summary.items,
+                    consumedCapacity: summary.consumedCapacity
+                });
+
+                let result;
+                try {
+                    result = await onItems(items, { segment, lastEvaluatedKey: exclusiveStartKey });
+                } catch (error) {
+                    summary.stopped = true;
+                    throw error;
+                }
+                if (result === false) {
+                    summary.stopped = true;
+                }
+            } while (exclusiveStartKey && !summary.stopped);
+
+            if (!exclusiveStartKey) {
+                summary.segmentsCompleted++;
+            }
+        };
+
+        await mapWithConcurrency(Array.from({ length: segments }, (_, segment) => segment), concurrency, scanSegment);
+
+        summary.duration = Date.now() - started;
+        logger.logMetric(`${metricName}.consumedCapacity`, summary.consumedCapacity, 'capacityUnits', {
+            tableName,
+            segments,
+            items: summary.items,
+            scannedCount: summary.scannedCount,
+            duration: summary.duration
+        });
+        return summary;
+    }
+
+    /**
+     * Async iterator over parallelScan pages: { segment, items, lastEvaluatedKey }.
+     * Each worker waits until its previous page has been taken, so memory stays bounded by the segment count.
+     */
+    async *parallelScanPages(params, options = {}) {
+        const pending = [];
+        let notify = () => {};
+        let finished = false;
+        let failure = null;
+        let closed = false;
+
+        this.parallelScan(params, {
+            ...options,
+            onItems: (items, page) => new Promise((release) => {
+                if (closed) {
+                    release(false);
+                    return;
+                }
+                pending.push({ page: { ...page, items }, release });
+                notify();
+            })
+        }).then(() => {
+            finished = true;
+            notify();
+        }, (error) => {
+            failure = error;
+            finished = true;
+            notify();
+        });
+
+        try {
+            while (true) {
+                if (pending.length > 0) {
+                    const { page, release } = pending.shift();
+                    release();
+                    yield page;
+                } else if (failure) {
+                    throw failure;
+                } else if (finished) {
+                    return;
+                } else {
+                    await new Promise((resolve) => {
+                        notify = resolve;
+                    });
+                }
+            }
+        } finally {
+            // Stop the workers when the consumer breaks out early
+            closed = true;
+            pending.splice(0).forEach(({ release }) => release(false));
+        }
+    }
+
+    async *paginate(Command, params, options, methodName) {
+        const baseParams = applyExpression(params);
+        const limit = options.limit;
+        let exclusiveStartKey = options.startKey || decodeCursor(options.cursor, options.cursorOptions) || baseParams.ExclusiveStartKey;
+        let remaining = limit;
+
+        do {
+            const pageParams = { ...baseParams };
+            if (exclusiveStartKey) {
+                pageParams.ExclusiveStartKey = exclusiveStartKey;
+            }
+            // Never ask for more than the caller still wants, so LastEvaluatedKey stays an exact resume point
+            if (remaining !== undefined) {
+                pageParams.Limit = Math.min(baseParams.Limit || remaining, remaining);
+            }
+
+            let data;
+            try {
+                data = await this.docClient.send(new Command(pageParams));
+            } catch (error) {
+                this.handleError(error, methodName);
+            }
+
+            const items = data.Items || [];
+            exclusiveStartKey = data.LastEvaluatedKey;
+            if (remaining !== undefined) {
+                remaining -= items.length;
+            }
+
+            yield {
+                items,
+                count: data.Count ?? items.length,
+                scannedCount: data.ScannedCount,
+                lastEvaluatedKey: exclusiveStartKey
+            };
+        } while (exclusiveStartKey && (remaining === undefined || remaining > 0));
+    }
+
+    async collectPages(pages, options = {}) {
+        const items = [];
+        let lastEvaluatedKey;
+        for await (const page of pages) {
+            items.push(...page.items);
+            lastEvaluatedKey = page.lastEvaluatedKey;
+        }
+        // Callers paging by cursor (even on the first page, with cursor undefined) get a signed one back
+        if ('cursor' in options || options.cursorOptions) {
+            return { items, lastEvaluatedKey, nextCursor: encodeCursor(lastEvaluatedKey, options.cursorOptions) };
+        }
+        return { items, lastEvaluatedKey };
+    }
+
+    statementParams(statement, table) {
+        const params = typeof statement === 'string' ? { Statement: statement } : { ...statement };
+        params.Statement = resolveStatementTables(params.Statement, (name) => this.resolveTableName(name), table);
+        // DynamoDB rejects an empty Parameters list
+        if (params.Parameters && params.Parameters.length === 0) {
+            delete params.Parameters;
+        }
+        return params;
+    }
+
+    // Written keys are not worked out from PartiQL, so any write statement clears the whole read cache
+    invalidateStatements(statements) {
+        if (statements.some(({ Statement }) => !/^\s*SELECT\b/i.test(Statement))) {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Run a PartiQL statement (a string, { Statement, Parameters } or a sql`` template), yielding every NextToken page.
+     * {table} in the statement resolves options.table, {table:name} any other table.
+     */
+    async *executeStatementPages(statement, options = {}) {
+        const baseParams = this.statementParams(statement, options.table);
+        let nextToken = options.nextToken || baseParams.NextToken;
+        let remaining = options.limit;
+
+        do {
+            const pageParams = { ...baseParams };
+            if (nextToken) {
+                pageParams.NextToken = nextToken;
+            }
+            if (remaining !== undefined) {
+                pageParams.Limit = Math.min(baseParams.Limit || remaining, remaining);
+            }
+
+            let data;
+            try {
+                data = await this.docClient.send(new ExecuteStatementCommand(pageParams));
+            } catch (error) {
+                this.handleError(error, 'executeStatement');
+            } finally {
+                this.invalidateStatements([baseParams]);
+            }
+
+            const items = data.Items || [];
+            nextToken = data.NextToken;
+            if (remaining !== undefined) {
+                remaining -= items.length;
+            }
+
+            yield { items, nextToken, lastEvaluatedKey: data.LastEvaluatedKey };
+        } while (nextToken && (remaining === undefined || remaining > 0));
+    }
+
+    async executeStatement(statement, options = {}) {
+        const items = [];
+        let nextToken;
+        for await (const page of this.executeStatementPages(statement, options)) {
+            items.push(...page.items);
+            nextToken = page.nextToken;
+        }
+        return { items, nextToken };
+    }
+
+    /**
+     * Run any number of PartiQL statements as 25-statement BatchExecuteStatement calls, retrying throttled
+     * statements. A batch must be all reads or all writes. responses line up with the input (null for writes,
+     * missing items and failures); failed lists { index, statement, error } for statements that did not succeed.
+     */
+    async batchExecuteStatement(statements, options = {}) {
+        const { concurrency = 4, maxRetries = 8, table } = options;
+        const entries = statements.map((statement, index) => ({ index, statement: this.statementParams(statement, table) }));
+        const responses = new Array(entries.length).fill(null);
+        const failed = [];
+
+        const executeChunk = async (chunkEntries) => {
+            let pending = chunkEntries;
+            let attempt = 0;
+
+            while (pending.length > 0) {
+                const remaining = [];
+                try {
+                    const data = await this.docClient.send(new BatchExecuteStatementCommand({
+                        Statements: pending.map(({ statement }) => ({ ...statement, ...(options.consistentRead && { ConsistentRead: true }) }))
+                    }));
+                    data.Responses.forEach((response, position) => {
+                        const entry = pending[position];
+                        if (!response.Error) {
+                            responses[entry.index] = response.Item || null;
+                        } else if (RETRYABLE_STATEMENT_ERRORS.includes(response.Error.Code) && attempt < maxRetries) {
+                            remaining.push(entry);
+                        } else {
+                            const error = Object.assign(new Error(response.Error.Message || response.Error.Code), {
+                                name: CANCELLATION_ERRORS[response.Error.Code] || response.Error.Code,
+                                code: response.Error.Code
+                            });
+                            if (response.Error.Item) {
+                                error.item = response.Error.Item;
+                            }
+                            failed.push({ index: entry.index, statement: entry.statement, error });
+                        }
+                    });
+                } catch (error) {
+                    if (!isRetryableError(error) || attempt >= maxRetries) {
+                        this.handleError(error, 'batchExecuteStatement', { fallback: null });
+                        pending.forEach((entry) => failed.push({ index: entry.index, statement: entry.statement, error }));
+                        return;
+                    }
+                    remaining.push(...pending);
+                }
+
+                pending = remaining;
+                if (pending.length > 0) {
+                    await sleep(backoffDelay(attempt++, options));
+                }
+            }
+        };
+
+        try {
+            await mapWithConcurrency(chunk(entries, BATCH_STATEMENT_LIMIT), concurrency, executeChunk);
+        } finally {
+            this.invalidateStatements(entries.map((entry) => entry.statement));
+        }
+        failed.sort((a, b) => a.index - b.index);
+        return { responses, failed };
+    }
+
+    resolveTableName(table) {
+        return process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + table;
+    }
+
+    resolveTransactItems(transactItems, table) {
+        return transactItems.map((item) => {
+            const [type] = Object.keys(item);
+            return {
+                [type]: {
+                    ...item[type],
+                    TableName: this.resolveTableName(item[type].TableName || table)
+                }
+            };
+        });
+    }
+
     async operation(action, table, data) {
-        let tableName = process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + table;
+        let tableName = this.resolveTableName(table);
         let response;
         let params;
         try {
@@ -125,66 +874,70 @@ class DatabaseService {
                 case 'getItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await get(params);
+                    response = await this.get(params);
                     break;
                 case 'getItems':
                     params = {
-                        "RequestItems": {
-                            [tableName]: {
-                                "Keys": data
-                            }
+                        [tableName]: {
+                            "Keys": data
                         }
                     }
-                    response = await batchGet(params, tableName);
+                    response = (await this.batchGetItems(params)).responses[tableName];
                     break;
                 case 'writeItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await put(params);
+                    response = await this.put(params);
                     break;
                 case 'writeItems':
                     params = {
-                        "RequestItems": {
-                            [tableName]: data
-                        }
+                        [tableName]: data
                     }
-                    response = await batchWrite(params);
+                    response = await this.batchWriteItems(params);
                     break;
                 case 'updateItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await update(params);
+                    response = await this.update(params);
                     break;
                 case 'updateItems':
                     params = {
-                        "RequestItems": {
-                            [tableName]: data
-                        }
+                        [tableName]: data
                     }
-                    response = await batchWrite(params);
+                    response = await this.batchWriteItems(params);
                     break;
                 case 'deleteItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await deleteItem(params);
+                    response = await this.delete(params);
                     break;
                 case 'deleteItems':
                     params = {
-                        "RequestItems": {
-                            [tableName]: data
-                        }
+                        [tableName]: data
                     }
-                    response = await batchWrite(params);
+                    response = await this.batchWriteItems(params);
                     break;
                 case 'queryItems':
                     data.TableName = tableName
                     params = data;
-                    response = await query(params);
+                    response = await this.query(params);
+                    break;
+                case 'transactItems':
+                    params = {
+                        "TransactItems": this.resolveTransactItems(data, table)
+                    }
+                    response = data.every((item) => item.Get) ? await this.transactGet(params) : await this.transactWrite(params);
                     break;
                 case 'scanItems':
                     data.TableName = tableName
                     params = data;
-                    response = await scan(params);
+                    response = await this.scan(params);
+                    break;
+                case 'executeStatement':
+                    response = (await this.executeStatement(data, { table })).items;
+                    break;
+                case 'batchExecuteStatement':
+                    response = await this.batchExecuteStatement(data, { table });
                     break;
                 default:
                     break;
@@ -198,15 +951,66 @@ class DatabaseService {
 
 // Export a singleton instance
 const databaseService = new DatabaseService();
-export const put = (params) => databaseService.put(params);
-export const get = (params) => databaseService.get(params);
-export const update = (params) => databaseService.update(params);
+export const put = (params, options) => databaseService.put(params, options);
+export const get = (params, options) => databaseService.get(params, options);
+export const update = (params, options) => databaseService.update(params, options);
 export const deleteItem = (params) => databaseService.delete(params);
 export const batchWrite = (params) => databaseService.batchWrite(params);
-export const batchGet = (params, table) => databaseService.batchGet(params, table);
-export const query = (params) => databaseService.query(params);
+export const batchWriteItems = (requestItems, options) => databaseService.batchWriteItems(requestItems, options);
+export const batchGet = (params, table, options) => databaseService.batchGet(params, table, options);
+export const batchGetItems = (requestItems, options) => databaseService.batchGetItems(requestItems, options);
+export const transactWrite = (params) => databaseService.transactWrite(params);
+export const transactGet = (params) => databaseService.transactGet(params);
+export const query = (params, options) => databaseService.query(params, options);
 export const scan = (params) => databaseService.scan(params);
+export const queryPages = (params, options) => databaseService.queryPages(params, options);
+export const scanPages = (params, options) => databaseService.scanPages(params, options);
+export const queryAll = (params, options) => databaseService.queryAll(params, options);
+export const scanAll = (params, options) => databaseService.scanAll(params, options);
+export const parallelScan = (params, options) => databaseService.parallelScan(params, options);
+export const parallelScanPages = (params, options) => databaseService.parallelScanPages(params, options);
+export const executeStatement = (statement, options) => databaseService.executeStatement(statement, options);
+export const executeStatementPages = (statement, options) => databaseService.executeStatementPages(statement, options);
+export const batchExecuteStatement = (statements, options) => databaseService.batchExecuteStatement(statements, options);
+export const getCacheStats = () => databaseService.cache.stats();
+export const clearCache = () => databaseService.cache.clear();
+export const reportCacheMetrics = (metadata) => databaseService.cache.reportMetrics(metadata);
 export const operation = (action, table, data) => databaseService.operation(action, table, data);
 
+// Sequences backed by TABLE_PATTERNS.getSequenceTable()
+const sequenceGenerator = new SequenceGenerator(databaseService);
+export const nextSequence = (name, options) => sequenceGenerator.next(name, options);
+export const reserveSequence = (name, count, options) => sequenceGenerator.reserve(name, count, options);
+
+// Audit trail backed by TABLE_PATTERNS.getAuditTrailTable()
+const auditTrail = new AuditTrail(databaseService);
+export const recordAudit = (entry) => auditTrail.record(entry);
+export const getAuditHistory = (entityType, entityId, options) => auditTrail.history(entityType, entityId, options);
+export const withAudit = (defaults) => auditTrail.wrap(databaseService, defaults);
+
+// Entity repositories, on the default instance unless another database is given
+export const defineModel = (definition, database = databaseService) => new Repository(database, definition);
+
+// Idempotency records in TABLE_PATTERNS.getIdempotencyTable(), on the default instance unless another database is given
+export const makeIdempotent = (handler, options, database = databaseService) => new IdempotencyStore(database, options).wrap(handler);
+export const idempotencyMiddleware = (options, database = databaseService) => new IdempotencyStore(database, options).middleware();
+
+// Table exports/imports through a storage service (StorageService instance or the @taleofddh/storage module)
+export const createTableTransfer = (storage, options, database = databaseService) => new TableTransfer(database, storage, options);
+
+export * from "./expression.js";
+export { sql } from "./partiql.js";
+export { SequenceGenerator, AuditTrail, diffItems, MemoryDocumentClient, Repository, createStreamHandler, parseStreamRecord, IdempotencyStore, TableTransfer, DatabaseCache };
+
+/**
+ * A DatabaseService backed by a MemoryDocumentClient holding the given table definitions
+ */
+export const createMemoryDatabase = (tables = [], options = {}) => {
+    return new DatabaseService({ ...options, documentClient: new MemoryDocumentClient({ tables, pageSize: options.pageSize }) });
+};
+
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createDatabaseService = (options) => new DatabaseService(options);
+
 // Also export the class for backward compatibility
 export { DatabaseService as Database };
\ No newline at end of file
@@ -0,0 +1,954 @@
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, ScanCommand, BatchWriteCommand, BatchGetCommand, TransactWriteCommand, TransactGetCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+ * In-memory stand-in for the DynamoDB document client, for offline tests of code built on DatabaseService.
+ * It evaluates key condition, filter, condition, update and projection expressions the way DynamoDB does
+ * and raises the same error names (ConditionalCheckFailedException, TransactionCanceledException, ...).
+ */
+
+const MAX_PAGE_BYTES = 1024 * 1024;
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+const dynamoError = (name, message, extra = {}) => {
+    return Object.assign(new Error(message), { name, $fault: 'client', $metadata: { httpStatusCode: 400 } }, extra);
+};
+
+const validationError = (message) => dynamoError('ValidationException', message);
+
+// Copies within this realm. structuredClone belongs to the host realm, so under Jest's vm contexts its Sets
+// would fail the instanceof Set checks of the code under test
+const clone = (value) => {
+    if (value instanceof Set) {
+        return new Set([...value].map(clone));
+    }
+    if (value instanceof Uint8Array) {
+        return new Uint8Array(value);
+    }
+    if (value instanceof ArrayBuffer) {
+        return value.slice(0);
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+    }
+    return value;
+};
+
+const isBinary = (value) => value instanceof Uint8Array || value instanceof ArrayBuffer;
+
+const typeOf = (value) => {
+    if (typeof value === 'string') return 'S';
+    if (typeof value === 'number' || typeof value === 'bigint') return 'N';
+    if (typeof value === 'boolean') return 'BOOL';
+    if (value === null) return 'NULL';
+    if (Array.isArray(value)) return 'L';
+    if (isBinary(value)) return 'B';
+    if (value instanceof Set) {
+        const [first] = value;
+        return typeof first === 'string' ? 'SS' : typeof first === 'number' || typeof first === 'bigint' ? 'NS' : 'BS';
+    }
+    return 'M';
+};
+
+const isEqual = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (a === undefined || b === undefined || typeOf(a) !== typeOf(b)) {
+        return false;
+    }
+    if (isBinary(a)) {
+        return Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+    }
+    if (a instanceof Set) {
+        return a.size === b.size && [...a].every((value) => [...b].some((other) => isEqual(value, other)));
+    }
+    if (typeof a === 'object' && a !== null) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+// Orders numbers numerically and strings/binary by their bytes, as DynamoDB does; null when not comparable
+const compareScalars = (a, b) => {
+    const type = typeOf(a);
+    if (a === undefined || b === undefined || type !== typeOf(b) || !['S', 'N', 'B'].includes(type)) {
+        return null;
+    }
+    if (type === 'N') {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+};
+
+const sizeOf = (value) => {
+    if (typeof value === 'string') return value.length;
+    if (isBinary(value)) return value.byteLength;
+    if (value instanceof Set) return value.size;
+    if (Array.isArray(value)) return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return undefined;
+};
+
+const itemBytes = (item) => Buffer.byteLength(JSON.stringify(item, (key, value) => (value instanceof Set ? [...value] : value)) || '');
+
+const tokenize = (expression) => {
+    const tokens = [];
+    let index = 0;
+    while (index < expression.length) {
+        const char = expression[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        const pair = expression.substring(index, index + 2);
+        if (['<>', '<=', '>='].includes(pair)) {
+            tokens.push({ type: 'symbol', value: pair });
+            index += 2;
+            continue;
+        }
+        if ('=<>+-(),.[]'.includes(char)) {
+            tokens.push({ type: 'symbol', value: char });
+            index++;
+            continue;
+        }
+        const match = /^[#:]?[A-Za-z0-9_]+/.exec(expression.substring(index));
+        if (!match) {
+            throw validationError(`Invalid expression: Syntax error; token: "${char}", near: "${expression.substring(index, index + 10)}"`);
+        }
+        const text = match[0];
+        const type = text[0] === '#' ? 'name' : text[0] === ':' ? 'value' : /^\d+$/.test(text) ? 'number' : 'identifier';
+        tokens.push({ type, value: text });
+        index += text.length;
+    }
+    return tokens;
+};
+
+/**
+ * Recursive-descent parser for DynamoDB expressions. Placeholders are resolved against the request's
+ * ExpressionAttributeNames/Values and recorded so unused ones can be rejected like DynamoDB does.
+ */
+class ExpressionParser {
+    constructor(expression, context) {
+        this.expression = expression;
+        this.tokens = tokenize(expression);
+        this.position = 0;
+        this.context = context;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw validationError(`Invalid expression: Syntax error; unexpected end of expression: "${this.expression}"`);
+        }
+        return token;
+    }
+
+    isSymbol(value, offset = 0) {
+        const token = this.peek(offset);
+        return token && token.type === 'symbol' && token.value === value;
+    }
+
+    isKeyword(word) {
+        const token = this.peek();
+        return token && token.type === 'identifier' && token.value.toUpperCase() === word;
+    }
+
+    expectSymbol(value) {
+        const token = this.next();
+        if (token.type !== 'symbol' || token.value !== value) {
+            throw validationError(`Invalid expression: Syntax error; token: "${token.value}", expected: "${value}"`);
+        }
+    }
+
+    expectEnd() {
+        if (this.peek()) {
+            throw validationError(`Invalid expression: Syntax error; token: "${this.peek().value}"`);
+        }
+    }
+
+    resolveName(token) {
+        if (!(token.value in (this.context.names || {}))) {
+            throw validationError(`Value provided in ExpressionAttributeNames unused or undefined: An expression attribute name used in the document path is not defined; attribute name: ${token.value}`);
+        }
+        this.context.usedNames.add(token.value);
+        return this.context.names[token.value];
+    }
+
+    parsePath() {
+        const token = this.next();
+        if (token.type !== 'name' && token.type !== 'identifier') {
+            throw validationError(`Invalid expression: Syntax error; token: "${token.value}", expected an attribute path`);
+        }
+        const segments = [token.type === 'name' ? this.resolveName(token) : token.value];
+        while (this.isSymbol('.') || this.isSymbol('[')) {
+            if (this.next().value === '.') {
+                const segment = this.next();
+                segments.push(segment.type === 'name' ? this.resolveName(segment) : segment.value);
+            } else {
+                const index = this.next();
+                if (index.type !== 'number') {
+                    throw validationError('Invalid expression: list index must be a number');
+                }
+                segments.push(Number(index.value));
+                this.expectSymbol(']');
+            }
+        }
+        return { type: 'path', segments };
+    }
+
+    parseValue() {
+        const token = this.next();
+        if (!this.context.values || !(token.value in this.context.values)) {
+            throw validationError(`Invalid expression: An expression attribute value used in expression is not defined; attribute value: ${token.value}`);
+        }
+        this.context.usedValues.add(token.value);
+        return { type: 'value', value: this.context.values[token.value] };
+    }
+
+    isFunction(name) {
+        const token = this.peek();
+        return token && token.type === 'identifier' && token.value === name && this.isSymbol('(', 1);
+    }
+
+    parseOperand() {
+        if (this.isFunction('size')) {
+            this.next();
+            this.expectSymbol('(');
+            const path = this.parsePath();
+            this.expectSymbol(')');
+            return { type: 'size', path };
+        }
+        return this.peek() && this.peek().type === 'value' ? this.parseValue() : this.parsePath();
+    }
+
+    parseCondition() {
+        const condition = this.parseOr();
+        this.expectEnd();
+        return condition;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('OR')) {
+            this.next();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword('AND')) {
+            this.next();
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isKeyword('NOT')) {
+            this.next();
+            return { type: 'not', condition: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        if (this.isSymbol('(')) {
+            this.next();
+            const condition = this.parseOr();
+            this.expectSymbol(')');
+            return condition;
+        }
+
+        const functionName = CONDITION_FUNCTIONS.find((name) => this.isFunction(name));
+        if (functionName) {
+            this.next();
+            this.expectSymbol('(');
+            const args = [this.parsePath()];
+            while (this.isSymbol(',')) {
+                this.next();
+                args.push(this.parseOperand());
+            }
+            this.expectSymbol(')');
+            return { type: 'function', name: functionName, args };
+        }
+
+        const left = this.parseOperand();
+        if (this.isKeyword('BETWEEN')) {
+            this.next();
+            const low = this.parseOperand();
+            if (!this.isKeyword('AND')) {
+                throw validationError('Invalid expression: BETWEEN requires AND');
+            }
+            this.next();
+            return { type: 'between', operand: left, low, high: this.parseOperand() };
+        }
+        if (this.isKeyword('IN')) {
+            this.next();
+            this.expectSymbol('(');
+            const list = [this.parseOperand()];
+            while (this.isSymbol(',')) {
+                this.next();
+                list.push(this.parseOperand());
+            }
+            this.expectSymbol(')');
+            return { type: 'in', operand: left, list };
+        }
+        const operator = this.next();
+        if (operator.type !== 'symbol' || !COMPARATORS.includes(operator.value)) {
+            throw validationError(`Invalid expression: Syntax error; token: "${operator.value}", expected a comparator`);
+        }
+        return { type: 'compare', operator: operator.value, left, right: this.parseOperand() };
+    }
+
+    parseUpdateOperand() {
+        if (this.isFunction('if_not_exists')) {
+            this.next();
+            this.expectSymbol('(');
+            const path = this.parsePath();
+            this.expectSymbol(',');
+            const fallback = this.parseUpdateOperand();
+            this.expectSymbol(')');
+            return { type: 'if_not_exists', path, fallback };
+        }
+        if (this.isFunction('list_append')) {
+            this.next();
+            this.expectSymbol('(');
+            const left = this.parseUpdateOperand();
+            this.expectSymbol(',');
+            const right = this.parseUpdateOperand();
+            this.expectSymbol(')');
+            return { type: 'list_append', left, right };
+        }
+        return this.peek() && this.peek().type === 'value' ? this.parseValue() : this.parsePath();
+    }
+
+    parseUpdate() {
+        const actions = [];
+        const seen = new Set();
+        while (this.peek()) {
+            const clause = this.next().value.toUpperCase();
+            if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause) || seen.has(clause)) {
+                throw validationError(`Invalid UpdateExpression: Syntax error; token: "${clause}"`);
+            }
+            seen.add(clause);
+            do {
+                const path = this.parsePath();
+                if (clause === 'SET') {
+                    this.expectSymbol('=');
+                    let value = this.parseUpdateOperand();
+                    if (this.isSymbol('+') || this.isSymbol('-')) {
+                        value = { type: 'arithmetic', operator: this.next().value, left: value, right: this.parseUpdateOperand() };
+                    }
+                    actions.push({ clause, path, value });
+                } else if (clause === 'REMOVE') {
+                    actions.push({ clause, path });
+                } else {
+                    actions.push({ clause, path, value: this.parseValue() });
+                }
+            } while (this.isSymbol(',') && this.next());
+        }
+        return actions;
+    }
+
+    parseProjection() {
+        const paths = [this.parsePath()];
+        while (this.isSymbol(',')) {
+            this.next();
+            paths.push(this.parsePath());
+        }
+        this.expectEnd();
+        return paths;
+    }
+}
+
+const getPath = (item, segments) => {
+    return segments.reduce((current, segment) => {
+        if (current === undefined || current === null) {
+            return undefined;
+        }
+        if (typeof segment === 'number') {
+            return Array.isArray(current) ? current[segment] : undefined;
+        }
+        return typeof current === 'object' && !Array.isArray(current) && !(current instanceof Set) ? current[segment] : undefined;
+    }, item);
+};
+
+const setPath = (item, segments, value) => {
+    const parent = getPath(item, segments.slice(0, -1));
+    const last = segments[segments.length - 1];
+    if (segments.length > 1 && (parent === undefined || parent === null || typeof parent !== 'object')) {
+        throw validationError('The document path provided in the update expression is invalid for update');
+    }
+    if (typeof last === 'number') {
+        if (!Array.isArray(parent)) {
+            throw validationError('The document path provided in the update expression is invalid for update');
+        }
+        parent[Math.min(last, parent.length)] = value;
+    } else {
+        parent[last] = value;
+    }
+};
+
+const removePath = (item, segments) => {
+    const parent = getPath(item, segments.slice(0, -1));
+    const last = segments[segments.length - 1];
+    if (Array.isArray(parent) && typeof last === 'number') {
+        if (last < parent.length) {
+            parent.splice(last, 1);
+        }
+    } else if (parent && typeof parent === 'object') {
+        delete parent[last];
+    }
+};
+
+const evaluateOperand = (node, item) => {
+    switch (node.type) {
+        case 'value':
+            return node.value;
+        case 'path':
+            return getPath(item, node.segments);
+        case 'size':
+            return sizeOf(getPath(item, node.path.segments));
+        case 'if_not_exists': {
+            const current = getPath(item, node.path.segments);
+            return current === undefined ? evaluateOperand(node.fallback, item) : current;
+        }
+        case 'list_append': {
+            const left = evaluateOperand(node.left, item);
+            const right = evaluateOperand(node.right, item);
+            if (!Array.isArray(left) || !Array.isArray(right)) {
+                throw validationError('Invalid UpdateExpression: Incorrect operand type for operator or function; operator or function: list_append');
+            }
+            return [...left, ...right];
+        }
+        case 'arithmetic': {
+            const left = evaluateOperand(node.left, item);
+            const right = evaluateOperand(node.right, item);
+            if (typeof left !== 'number' || typeof right !== 'number') {
+                throw validationError(`An operand in the update expression has an incorrect data type`);
+            }
+            return node.operator === '+' ? left + right : left - right;
+        }
+        default:
+            throw validationError(`Unsupported operand: ${node.type}`);
+    }
+};
+
+const evaluateCondition = (node, item) => {
+    switch (node.type) {
+        case 'and':
+            return evaluateCondition(node.left, item) && evaluateCondition(node.right, item);
+        case 'or':
+            return evaluateCondition(node.left, item) || evaluateCondition(node.right, item);
+        case 'not':
+            return !evaluateCondition(node.condition, item);
+        case 'compare': {
+            const left = evaluateOperand(node.left, item);
+            const right = evaluateOperand(node.right, item);
+            if (node.operator === '=') return isEqual(left, right);
+            if (node.operator === '<>') return !isEqual(left, right);
+            const order = compareScalars(left, right);
+            if (order === null) return false;
+            return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[node.operator];
+        }
+        case 'between': {
+            const value = evaluateOperand(node.operand, item);
+            const low = compareScalars(value, evaluateOperand(node.low, item));
+            const high = compareScalars(value, evaluateOperand(node.high, item));
+            return low !== null && high !== null && low >= 0 && high <= 0;
+        }
+        case 'in': {
+            const value = evaluateOperand(node.operand, item);
+            return node.list.some((candidate) => isEqual(value, evaluateOperand(candidate, item)));
+        }
+        case 'function': {
+            const [path, argument] = node.args;
+            const value = getPath(item, path.segments);
+            const operand = argument ? evaluateOperand(argument, item) : undefined;
+            switch (node.name) {
+                case 'attribute_exists':
+                    return value !== undefined;
+                case 'attribute_not_exists':
+                    return value === undefined;
+                case 'attribute_type':
+                    return value !== undefined && typeOf(value) === operand;
+                case 'begins_with':
+                    if (typeof value === 'string' && typeof operand === 'string') return value.startsWith(operand);
+                    if (isBinary(value) && isBinary(operand)) return Buffer.from(value).subarray(0, operand.byteLength).equals(Buffer.from(operand));
+                    return false;
+                case 'contains':
+                    if (typeof value === 'string') return typeof operand === 'string' && value.includes(operand);
+                    if (value instanceof Set) return [...value].some((element) => isEqual(element, operand));
+                    if (Array.isArray(value)) return value.some((element) => isEqual(element, operand));
+                    return false;
+                default:
+                    return false;
+            }
+        }
+        default:
+            throw validationError(`Unsupported condition: ${node.type}`);
+    }
+};
+
+const applyUpdate = (actions, item) => {
+    const updated = clone(item);
+    const touched = new Set();
+    actions.forEach(({ clause, path, value }) => {
+        touched.add(path.segments[0]);
+        if (clause === 'SET') {
+            setPath(updated, path.segments, evaluateOperand(value, item));
+        } else if (clause === 'REMOVE') {
+            removePath(updated, path.segments);
+        } else {
+            const current = getPath(updated, path.segments);
+            const operand = evaluateOperand(value, item);
+            if (clause === 'ADD' && typeof operand === 'number') {
+                if (current !== undefined && typeof current !== 'number') {
+                    throw validationError('An operand in the update expression has an incorrect data type');
+                }
+                setPath(updated, path.segments, (current || 0) + operand);
+            } else if (operand instanceof Set && (current === undefined || current instanceof Set)) {
+                const result = new Set(current || []);
+                operand.forEach((element) => (clause === 'ADD' ? result.add(element) : result.delete(element)));
+                // DynamoDB never stores empty sets
+                if (result.size === 0) {
+                    removePath(updated, path.segments);
+                } else {
+                    setPath(updated, path.segments, result);
+                }
+            } else {
+                throw validationError(`Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ${clause}`);
+            }
+        }
+    });
+    return { item: updated, touched };
+};
+
+const stringHash = (value) => {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+};
+
+const keySchemaFrom = (KeySchema) => ({
+    hash: KeySchema.find((key) => key.KeyType === 'HASH').AttributeName,
+    range: KeySchema.find((key) => key.KeyType === 'RANGE')?.AttributeName
+});
+
+export class MemoryDocumentClient {
+    constructor(options = {}) {
+        this.tables = new Map();
+        this.pageSize = options.pageSize;
+        (options.tables || []).forEach((table) => this.createTable(table));
+    }
+
+    /**
+     * Define a table with the same shape as CreateTableCommand input:
+     * { TableName, KeySchema, GlobalSecondaryIndexes, LocalSecondaryIndexes }
+     */
+    createTable({ TableName, KeySchema, GlobalSecondaryIndexes = [], LocalSecondaryIndexes = [] }) {
+        const indexes = new Map([...GlobalSecondaryIndexes, ...LocalSecondaryIndexes].map((index) => [index.IndexName, {
+            ...keySchemaFrom(index.KeySchema),
+            projection: index.Projection || { ProjectionType: 'ALL' }
+        }]));
+        this.tables.set(TableName, { key: keySchemaFrom(KeySchema), indexes, items: new Map() });
+        return this;
+    }
+
+    deleteTable(tableName) {
+        this.tables.delete(tableName);
+    }
+
+    reset() {
+        this.tables.forEach((table) => table.items.clear());
+    }
+
+    // Items currently stored in a table, for test assertions
+    dump(tableName) {
+        return [...this.table(tableName).items.values()].map(clone);
+    }
+
+    table(tableName) {
+        const table = this.tables.get(tableName);
+        if (!table) {
+            throw dynamoError('ResourceNotFoundException', 'Requested resource not found');
+        }
+        return table;
+    }
+
+    keyOf(table, item) {
+        const key = { [table.key.hash]: item[table.key.hash] };
+        if (table.key.range) {
+            key[table.key.range] = item[table.key.range];
+        }
+        return key;
+    }
+
+    keyId(table, item) {
+        return JSON.stringify([item[table.key.hash], table.key.range ? item[table.key.range] : null]);
+    }
+
+    validateKey(table, key, exact = true) {
+        const attributes = [table.key.hash, table.key.range].filter(Boolean);
+        const valid = attributes.every((attribute) => ['S', 'N', 'B'].includes(typeOf(key[attribute])))
+            && (!exact || Object.keys(key).length === attributes.length);
+        if (!valid) {
+            throw validationError('The provided key element does not match the schema');
+        }
+    }
+
+    createContext(input) {
+        return {
+            names: input.ExpressionAttributeNames,
+            values: input.ExpressionAttributeValues,
+            usedNames: new Set(),
+            usedValues: new Set()
+        };
+    }
+
+    verifyContext(context) {
+        const unusedNames = Object.keys(context.names || {}).filter((name) => !context.usedNames.has(name));
+        if (unusedNames.length > 0) {
+            throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`);
+        }
+        const unusedValues = Object.keys(context.values || {}).filter((value) => !context.usedValues.has(value));
+        if (unusedValues.length > 0) {
+            throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`);
+        }
+    }
+
+    parse(expression, context, method) {
+        return expression ? new ExpressionParser(expression, context)[method]() : null;
+    }
+
+    project(item, projection) {
+        if (!projection) {
+            return clone(item);
+        }
+        const projected = {};
+        projection.forEach(({ segments }) => {
+            const value = getPath(item, segments);
+            if (value === undefined) {
+                return;
+            }
+            // Nested projections keep the containing structure, list indexes collapse in order
+            let target = projected;
+            segments.forEach((segment, index) => {
+                if (index === segments.length - 1) {
+                    Array.isArray(target) ? target.push(clone(value)) : (target[segment] = clone(value));
+                    return;
+                }
+                const nextIsIndex = typeof segments[index + 1] === 'number';
+                const key = Array.isArray(target) ? target.length : segment;
+                target[key] = target[key] || (nextIsIndex ? [] : {});
+                target = target[key];
+            });
+        });
+        return projected;
+    }
+
+    conditionFailure(input, existing) {
+        const extra = {};
+        if (input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && existing) {
+            extra.Item = marshall(existing, { convertClassInstanceToMap: true });
+        }
+        return dynamoError('ConditionalCheckFailedException', 'The conditional request failed', extra);
+    }
+
+    checkCondition(input, existing, condition) {
+        if (condition && !evaluateCondition(condition, existing || {})) {
+            throw this.conditionFailure(input, existing);
+        }
+    }
+
+    // Each write is computed against the current state and only then committed, so transactions can reuse it
+    preparePut(input) {
+        const table = this.table(input.TableName);
+        this.validateKey(table, input.Item, false);
+        const context = this.createContext(input);
+        const condition = this.parse(input.ConditionExpression, context, 'parseCondition');
+        this.verifyContext(context);
+        const id = this.keyId(table, input.Item);
+        const existing = table.items.get(id);
+        this.checkCondition(input, existing, condition);
+        return {
+            commit: () => table.items.set(id, clone(input.Item)),
+            result: input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {}
+        };
+    }
+
+    prepareUpdate(input) {
+        const table = this.table(input.TableName);
+        this.validateKey(table, input.Key);
+        const context = this.createContext(input);
+        const actions = this.parse(input.UpdateExpression, context, 'parseUpdate') || [];
+        const condition = this.parse(input.ConditionExpression, context, 'parseCondition');
+        this.verifyContext(context);
+        const id = this.keyId(table, input.Key);
+        const existing = table.items.get(id);
+        this.checkCondition(input, existing, condition);
+
+        const keyAttributes = [table.key.hash, table.key.range].filter(Boolean);
+        if (actions.some(({ path }) => keyAttributes.includes(path.segments[0]))) {
+            throw validationError('One or more parameter values were invalid: Cannot update attribute, this attribute is part of the key');
+        }
+        const { item, touched } = applyUpdate(actions, existing || clone(input.Key));
+        const pickTouched = (source) => Object.fromEntries([...touched].filter((name) => source && source[name] !== undefined).map((name) => [name, clone(source[name])]));
+        const returnValues = {
+            ALL_OLD: existing && clone(existing),
+            UPDATED_OLD: existing && pickTouched(existing),
+            ALL_NEW: clone(item),
+            UPDATED_NEW: pickTouched(item)
+        }[input.ReturnValues];
+
+        return {
+            commit: () => table.items.set(id, item),
+            result: returnValues ? { Attributes: returnValues } : {}
+        };
+    }
+
+    prepareDelete(input) {
+        const table = this.table(input.TableName);
+        this.validateKey(table, input.Key);
+        const context = this.createContext(input);
+        const condition = this.parse(input.ConditionExpression, context, 'parseCondition');
+        this.verifyContext(context);
+        const id = this.keyId(table, input.Key);
+        const existing = table.items.get(id);
+        this.checkCondition(input, existing, condition);
+        return {
+            commit: () => table.items.delete(id),
+            result: input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {}
+        };
+    }
+
+    prepareConditionCheck(input) {
+        const table = this.table(input.TableName);
+        this.validateKey(table, input.Key);
+        const context = this.createContext(input);
+        const condition = this.parse(input.ConditionExpression, context, 'parseCondition');
+        this.verifyContext(context);
+        this.checkCondition(input, table.items.get(this.keyId(table, input.Key)), condition);
+        return { commit: () => {}, result: {} };
+    }
+
+    get(input) {
+        const table = this.table(input.TableName);
+        this.validateKey(table, input.Key);
+        const context = this.createContext(input);
+        const projection = this.parse(input.ProjectionExpression, context, 'parseProjection');
+        this.verifyContext(context);
+        const item = table.items.get(this.keyId(table, input.Key));
+        return item ? { Item: this.project(item, projection) } : {};
+    }
+
+    read(input, isQuery) {
+        const table = this.table(input.TableName);
+        const index = input.IndexName ? table.indexes.get(input.IndexName) : null;
+        if (input.IndexName && !index) {
+            throw validationError(`The table does not have the specified index: ${input.IndexName}`);
+        }
+        const schema = index || table.key;
+        const context = this.createContext(input);
+        const keyCondition = isQuery ? this.parse(input.KeyConditionExpression, context, 'parseCondition') : null;
+        if (isQuery && !keyCondition) {
+            throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+        }
+        const filter = this.parse(input.FilterExpression, context, 'parseCondition');
+        const projection = this.parse(input.ProjectionExpression, context, 'parseProjection');
+        this.verifyContext(context);
+
+        const forward = input.ScanIndexForward !== false;
+        const ordering = (item) => [isQuery && schema.range ? item[schema.range] : null, this.keyId(table, item)];
+        const compareOrdering = (a, b) => (schema.range && isQuery ? compareScalars(a[0], b[0]) || 0 : 0) || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+
+        let candidates = [...table.items.values()]
+            // Items without the index key attributes are not in a sparse index
+            .filter((item) => !index || (item[index.hash] !== undefined && (!index.range || item[index.range] !== undefined)))
+            .filter((item) => !isQuery || evaluateCondition(keyCondition, item));
+        if (input.TotalSegments) {
+            candidates = candidates.filter((item) => stringHash(this.keyId(table, item)) % input.TotalSegments === input.Segment);
+        }
+        candidates.sort((a, b) => compareOrdering(ordering(a), ordering(b)) * (forward ? 1 : -1));
+
+        if (input.ExclusiveStartKey) {
+            const start = ordering(input.ExclusiveStartKey);
+            candidates = candidates.filter((item) => compareOrdering(ordering(item), start) * (forward ? 1 : -1) > 0);
+        }
+
+        const items = [];
+        let scannedCount = 0;
+        let bytes = 0;
+        let lastEvaluated = null;
+        for (const item of candidates) {
+            scannedCount++;
+            bytes += itemBytes(item);
+            if (!filter || evaluateCondition(filter, item)) {
+                items.push(this.projectIndex(table, index, item));
+            }
+            const full = (input.Limit && scannedCount >= input.Limit) || (this.pageSize && scannedCount >= this.pageSize) || bytes >= MAX_PAGE_BYTES;
+            if (full && scannedCount < candidates.length) {
+                lastEvaluated = item;
+                break;
+            }
+        }
+
+        const result = {
+            Count: items.length,
+            ScannedCount: scannedCount
+        };
+        if (input.Select !== 'COUNT') {
+            result.Items = items.map((item) => this.project(item, projection));
+        }
+        if (lastEvaluated) {
+            result.LastEvaluatedKey = {
+                ...this.keyOf(table, lastEvaluated),
+                ...(index && { [index.hash]: lastEvaluated[index.hash] }),
+                ...(index && index.range && { [index.range]: lastEvaluated[index.range] })
+            };
+        }
+        if (input.ReturnConsumedCapacity && input.ReturnConsumedCapacity !== 'NONE') {
+            result.ConsumedCapacity = { TableName: input.TableName, CapacityUnits: Math.max(0.5, Math.ceil(bytes / 4096) * 0.5) };
+        }
+        return result;
+    }
+
+    projectIndex(table, index, item) {
+        if (!index || index.projection.ProjectionType === 'ALL') {
+            return item;
+        }
+        const attributes = [table.key.hash, table.key.range, index.hash, index.range, ...(index.projection.NonKeyAttributes || [])];
+        return Object.fromEntries(attributes.filter((name) => name && item[name] !== undefined).map((name) => [name, item[name]]));
+    }
+
+    batchWrite(input) {
+        const requests = Object.entries(input.RequestItems).flatMap(([TableName, tableRequests]) => {
+            return tableRequests.map((request) => ({ TableName, request }));
+        });
+        if (requests.length === 0 || requests.length > 25) {
+            throw validationError('Member must have length less than or equal to 25 and greater than or equal to 1');
+        }
+        const prepared = requests.map(({ TableName, request }) => {
+            return request.PutRequest
+                ? this.preparePut({ TableName, Item: request.PutRequest.Item })
+                : this.prepareDelete({ TableName, Key: request.DeleteRequest.Key });
+        });
+        prepared.forEach(({ commit }) => commit());
+        return { UnprocessedItems: {} };
+    }
+
+    batchGet(input) {
+        const responses = {};
+        let total = 0;
+        Object.entries(input.RequestItems).forEach(([TableName, { Keys, ...tableParams }]) => {
+            const table = this.table(TableName);
+            const ids = new Set(Keys.map((key) => this.keyId(table, key)));
+            if (ids.size !== Keys.length) {
+                throw validationError('Provided list of item keys contains duplicates');
+            }
+            total += Keys.length;
+            responses[TableName] = Keys
+                .map((Key) => this.get({ TableName, Key, ...tableParams }).Item)
+                .filter(Boolean);
+        });
+        if (total > 100) {
+            throw validationError('Too many items requested for the BatchGetItem call');
+        }
+        return { Responses: responses, UnprocessedKeys: {} };
+    }
+
+    transactWrite(input) {
+        const prepare = {
+            Put: (params) => this.preparePut(params),
+            Update: (params) => this.prepareUpdate(params),
+            Delete: (params) => this.prepareDelete(params),
+            ConditionCheck: (params) => this.prepareConditionCheck(params)
+        };
+        const targets = input.TransactItems.map((action) => {
+            const { TableName, Key, Item } = Object.values(action)[0];
+            return `${TableName}:${this.keyId(this.table(TableName), Key || Item)}`;
+        });
+        if (new Set(targets).size !== targets.length) {
+            throw validationError('Transaction request cannot include multiple operations on one item');
+        }
+        const prepared = input.TransactItems.map((action) => {
+            const [type] = Object.keys(action);
+            try {
+                return { reason: { Code: 'None' }, operation: prepare[type](action[type]) };
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                return { reason: { Code: 'ConditionalCheckFailed', Message: error.message, ...(error.Item && { Item: error.Item }) } };
+            }
+        });
+
+        if (prepared.some(({ operation }) => !operation)) {
+            const reasons = prepared.map(({ reason }) => reason);
+            throw dynamoError('TransactionCanceledException', `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((reason) => reason.Code).join(', ')}]`, {
+                CancellationReasons: reasons
+            });
+        }
+        prepared.forEach(({ operation }) => operation.commit());
+        return {};
+    }
+
+    transactGet(input) {
+        return {
+            Responses: input.TransactItems.map(({ Get }) => ({ Item: this.get(Get).Item }))
+        };
+    }
+
+    // Dispatched with instanceof: bundlers that minify class names would break matching on constructor.name
+    async send(command) {
+        const input = command.input;
+        if (command instanceof GetCommand) {
+            return this.get(input);
+        }
+        if (command instanceof PutCommand || command instanceof UpdateCommand || command instanceof DeleteCommand) {
+            let prepared;
+            if (command instanceof PutCommand) {
+                prepared = this.preparePut(input);
+            } else if (command instanceof UpdateCommand) {
+                prepared = this.prepareUpdate(input);
+            } else {
+                prepared = this.prepareDelete(input);
+            }
+            prepared.commit();
+            return prepared.result;
+        }
+        if (command instanceof QueryCommand) {
+            return this.read(input, true);
+        }
+        if (command instanceof ScanCommand) {
+            return this.read(input, false);
+        }
+        if (command instanceof BatchWriteCommand) {
+            return this.batchWrite(input);
+        }
+        if (command instanceof BatchGetCommand) {
+            return this.batchGet(input);
+        }
+        if (command instanceof TransactWriteCommand) {
+            return this.transactWrite(input);
+        }
+        if (command instanceof TransactGetCommand) {
+            return this.transactGet(input);
+        }
+        throw validationError(`${command.constructor.name} is not supported by MemoryDocumentClient`);
+    }
+}
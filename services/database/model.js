@@ -0,0 +1,210 @@
+import { NotFoundError, ConflictError, ValidationError } from "@taleofddh/error";
+import ValidationHelper from "@taleofddh/validation";
+import { expression, equals, attributeExists, attributeNotExists } from "./expression.js";
+
+const resolveDefault = (value) => (typeof value === 'function' ? value() : value);
+
+/**
+ * Repository over one table, built from a declarative entity definition:
+ *
+ * {
+ *   name: 'request',                                   // used in error messages
+ *   table: 'request',                                  // resolved to ENVIRONMENT.APP_NAME.SERVICE_NAME.table
+ *   key: { partitionKey: 'id', sortKey: 'createdAt' },
+ *   indexes: { byEmail: { partitionKey: 'email', sortKey: 'createdAt' } },
+ *   defaults: { status: 'NEW', createdAt: () => new Date().toISOString() },
+ *   validators: { email: (value) => ValidationHelper.validateEmail(value) },
+ *   timestamps: true                                   // maintain createdAt/updatedAt
+ * }
+ *
+ * Validators return ValidationHelper results; sanitized values replace the input.
+ */
+export class Repository {
+    constructor(database, definition) {
+        this.database = database;
+        this.definition = {
+            key: { partitionKey: 'id' },
+            indexes: {},
+            defaults: {},
+            validators: {},
+            timestamps: false,
+            ...definition
+        };
+        this.name = this.definition.name || this.definition.table;
+    }
+
+    get tableName() {
+        return this.definition.tableName || this.database.resolveTableName(this.definition.table);
+    }
+
+    get keyAttributes() {
+        const { partitionKey, sortKey } = this.definition.key;
+        return [partitionKey, sortKey].filter(Boolean);
+    }
+
+    /**
+     * Accepts the partition key value alone for tables without a sort key, otherwise a key object
+     */
+    keyOf(id) {
+        const key = id !== null && typeof id === 'object'
+            ? Object.fromEntries(this.keyAttributes.map((attribute) => [attribute, id[attribute]]))
+            : { [this.definition.key.partitionKey]: id };
+        const missing = this.keyAttributes.filter((attribute) => key[attribute] === undefined || key[attribute] === null);
+        if (missing.length > 0) {
+            throw this.validationError(missing.map((attribute) => `${attribute}: ${attribute} is required`));
+        }
+        return key;
+    }
+
+    validationError(errors) {
+        const error = new ValidationError(`Invalid ${this.name}`, errors);
+        error.errors = errors;
+        return error;
+    }
+
+    notFoundError(key) {
+        const id = Object.values(key).join('#');
+        const error = new NotFoundError(`${this.name} with ID '${id}' not found`, { resource: this.name, id });
+        error.resource = this.name;
+        error.id = id;
+        return error;
+    }
+
+    /**
+     * Run the validators for the given attributes (all of them unless partial) and return the sanitized data
+     */
+    validate(data, options = {}) {
+        const validators = Object.fromEntries(Object.entries(this.definition.validators)
+            .filter(([attribute]) => !options.partial || attribute in data));
+        const result = ValidationHelper.validateObject(data, validators);
+        if (!result.isValid) {
+            throw this.validationError(result.errors);
+        }
+        return { ...data, ...result.value };
+    }
+
+    async findById(id, options = {}) {
+        const key = this.keyOf(id);
+        const item = await this.database.get({
+            TableName: this.tableName,
+            Key: key,
+            ...(options.consistent && { ConsistentRead: true })
+        }, { throwOnError: true });
+        if (!item) {
+            if (options.required === false) {
+                return null;
+            }
+            throw this.notFoundError(key);
+        }
+        return item;
+    }
+
+    /**
+     * Query a GSI (or the table itself with index 'primary') by partition key value.
+     * `sortKey` takes a value or a condition such as beginsWith('createdAt', '2024').
+     */
+    async findBy(indexName, value, options = {}) {
+        const index = indexName === 'primary' ? this.definition.key : this.definition.indexes[indexName];
+        if (!index) {
+            throw new Error(`Unknown index '${indexName}' for ${this.name}`);
+        }
+        const { sortKey, filter, order = 'asc', ...pageOptions } = options;
+        const builder = expression().keyCondition(equals(index.partitionKey, value));
+        if (sortKey !== undefined) {
+            builder.keyCondition(sortKey && typeof sortKey.render === 'function' ? sortKey : equals(index.sortKey, sortKey));
+        }
+        if (filter) {
+            builder.filter(filter);
+        }
+
+        return this.database.queryAll({
+            TableName: this.tableName,
+            ...(indexName !== 'primary' && { IndexName: indexName }),
+            ScanIndexForward: order !== 'desc',
+            expression: builder
+        }, pageOptions);
+    }
+
+    async create(data, options = {}) {
+        const now = new Date().toISOString();
+        const defaults = Object.fromEntries(Object.entries(this.definition.defaults)
+            .map(([attribute, value]) => [attribute, resolveDefault(value)]));
+        const item = this.validate({
+            ...defaults,
+            ...(this.definition.timestamps && { createdAt: now, updatedAt: now }),
+            ...data
+        });
+        const key = this.keyOf(item);
+
+        try {
+            await this.database.put({
+                TableName: this.tableName,
+                Item: item,
+                expression: expression().condition(attributeNotExists(this.definition.key.partitionKey))
+            }, options);
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                throw new ConflictError(`${this.name} already exists`, { key });
+            }
+            throw error;
+        }
+        return item;
+    }
+
+    /**
+     * Update only the given attributes; undefined removes one and expression markers such as increment() apply
+     */
+    async patch(id, changes, options = {}) {
+        const key = this.keyOf(id);
+        const keyChanges = this.keyAttributes.filter((attribute) => attribute in changes && changes[attribute] !== key[attribute]);
+        if (keyChanges.length > 0) {
+            throw this.validationError(keyChanges.map((attribute) => `${attribute}: key attributes cannot be changed`));
+        }
+        const updates = this.validate(Object.fromEntries(Object.entries(changes)
+            .filter(([attribute]) => !this.keyAttributes.includes(attribute))), { partial: true });
+        if (this.definition.timestamps) {
+            updates.updatedAt = new Date().toISOString();
+        }
+
+        try {
+            return await this.database.update({
+                TableName: this.tableName,
+                Key: key,
+                ReturnValues: 'ALL_NEW',
+                expression: expression().update(updates, options).condition(attributeExists(this.definition.key.partitionKey))
+            }, options);
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                throw this.notFoundError(key);
+            }
+            throw error;
+        }
+    }
+
+    async remove(id) {
+        const key = this.keyOf(id);
+
+        try {
+            const data = await this.database.delete({
+                TableName: this.tableName,
+                Key: key,
+                ReturnValues: 'ALL_OLD',
+                expression: expression().condition(attributeExists(this.definition.key.partitionKey))
+            });
+            return data.Attributes;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                throw this.notFoundError(key);
+            }
+            throw error;
+        }
+    }
+
+    async list(options = {}) {
+        const { filter, ...pageOptions } = options;
+        return this.database.scanAll({
+            TableName: this.tableName,
+            ...(filter && { expression: expression().filter(filter) })
+        }, pageOptions);
+    }
+}
@@ -0,0 +1,28 @@
+// {table} is the operation's table, {table:name} any other table of the service
+const TABLE_PLACEHOLDER = /\{table(?::([\w.-]+))?\}/g;
+
+/**
+ * Tagged template for parameterised PartiQL; interpolated values become ? parameters:
+ *
+ * sql`SELECT * FROM {table} WHERE id = ${id}`
+ * // { Statement: 'SELECT * FROM {table} WHERE id = ?', Parameters: [id] }
+ */
+export const sql = (strings, ...values) => {
+    const statement = { Statement: strings.reduce((text, part, index) => text + (index > 0 ? '?' : '') + part, '') };
+    if (values.length > 0) {
+        statement.Parameters = values;
+    }
+    return statement;
+};
+
+/**
+ * Replace table placeholders with quoted, fully resolved table names
+ */
+export const resolveStatementTables = (statement, resolveTableName, table) => {
+    return statement.replace(TABLE_PLACEHOLDER, (placeholder, name) => {
+        if (!name && !table) {
+            throw new Error(`No table given for ${placeholder} in statement: ${statement}`);
+        }
+        return `"${resolveTableName(name || table)}"`;
+    });
+};
@@ -0,0 +1,68 @@
+import { TABLE_PATTERNS } from "@taleofddh/constants";
+
+/**
+ * Atomic named counters stored in the sequence table, e.g. for enquiry and quotation numbers
+ */
+export class SequenceGenerator {
+    constructor(database, options = {}) {
+        this.database = database;
+        this.options = {
+            keyAttribute: 'name',
+            valueAttribute: 'value',
+            ...options
+        };
+    }
+
+    get tableName() {
+        return this.options.tableName || TABLE_PATTERNS.getSequenceTable();
+    }
+
+    counterName(name, options) {
+        return options.resetYearly ? `${name}#${this.year(options)}` : name;
+    }
+
+    year(options) {
+        return (options.date || new Date()).getUTCFullYear();
+    }
+
+    format(value, options = {}) {
+        const { prefix, padding = 0, separator = '-', resetYearly } = options;
+        return [prefix, resetYearly ? this.year(options) : null, String(value).padStart(padding, '0')]
+            .filter((part) => part !== undefined && part !== null && part !== '')
+            .join(separator);
+    }
+
+    /**
+     * Reserve a block of `count` consecutive values in one round trip and return them formatted
+     */
+    async reserve(name, count = 1, options = {}) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Sequence block size must be a positive integer');
+        }
+        const { keyAttribute, valueAttribute } = this.options;
+        const attributes = await this.database.update({
+            TableName: this.tableName,
+            Key: { [keyAttribute]: this.counterName(name, options) },
+            UpdateExpression: 'ADD #value :count SET #updatedAt = :updatedAt',
+            ExpressionAttributeNames: { '#value': valueAttribute, '#updatedAt': 'updatedAt' },
+            ExpressionAttributeValues: { ':count': count, ':updatedAt': new Date().toISOString() },
+            ReturnValues: 'UPDATED_NEW'
+        }, { versioning: false });
+        const last = attributes[valueAttribute];
+        return Array.from({ length: count }, (_, index) => this.format(last - count + 1 + index, options));
+    }
+
+    async next(name, options = {}) {
+        const [value] = await this.reserve(name, 1, options);
+        return value;
+    }
+
+    async current(name, options = {}) {
+        const { keyAttribute, valueAttribute } = this.options;
+        const item = await this.database.get({
+            TableName: this.tableName,
+            Key: { [keyAttribute]: this.counterName(name, options) }
+        });
+        return item ? item[valueAttribute] : 0;
+    }
+}
@@ -0,0 +1,97 @@
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { diffItems } from "./audit.js";
+
+const HANDLER_KEYS = { INSERT: 'insert', MODIFY: 'modify', REMOVE: 'remove' };
+
+// arn:aws:dynamodb:<region>:<account>:table/<name>/stream/<label>
+const tableFromArn = (arn = '') => {
+    const match = /:table\/([^/]+)/.exec(arn);
+    return match ? match[1] : null;
+};
+
+const imageOf = (image) => (image ? unmarshall(image) : null);
+
+/**
+ * Turn a raw DynamoDB Streams record into a plain change description
+ */
+export const parseStreamRecord = (record) => {
+    const stream = record.dynamodb || {};
+    const tableName = tableFromArn(record.eventSourceARN);
+    const newImage = imageOf(stream.NewImage);
+    const oldImage = imageOf(stream.OldImage);
+
+    return {
+        eventId: record.eventID,
+        eventName: record.eventName,
+        tableName,
+        // Last segment of ENVIRONMENT.APP_NAME.SERVICE_NAME.table
+        table: tableName ? tableName.substring(tableName.lastIndexOf('.') + 1) : null,
+        keys: imageOf(stream.Keys),
+        newImage,
+        oldImage,
+        changes: newImage || oldImage ? diffItems(oldImage, newImage) : {},
+        sequenceNumber: stream.SequenceNumber,
+        approximateCreationTime: stream.ApproximateCreationDateTime,
+        // Deletions made by TTL expiry rather than by a caller
+        expired: record.eventName === 'REMOVE' && record.userIdentity?.principalId === 'dynamodb.amazonaws.com',
+        record
+    };
+};
+
+/**
+ * Build a Lambda handler for DynamoDB Stream events.
+ *
+ * routes.entities and routes.tables map an entity type (read from options.entityAttribute) or a table name
+ * (short or fully qualified) to either a function or { insert, modify, remove } callbacks; routes.default
+ * catches everything else. Records are processed in order and processing stops at the first failure,
+ * which is reported in batchItemFailures so Lambda retries from that record.
+ */
+export const createStreamHandler = (routes = {}, options = {}) => {
+    const { entityAttribute = 'entityType', filter } = options;
+
+    const resolve = (change) => {
+        const image = change.newImage || change.oldImage || {};
+        const candidates = [
+            routes.entities && routes.entities[image[entityAttribute]],
+            routes.tables && (routes.tables[change.tableName] || routes.tables[change.table]),
+            routes.default
+        ];
+        for (const route of candidates) {
+            if (typeof route === 'function') {
+                return route;
+            }
+            if (route && typeof route[HANDLER_KEYS[change.eventName]] === 'function') {
+                return route[HANDLER_KEYS[change.eventName]];
+            }
+        }
+        return null;
+    };
+
+    return async (event, context) => {
+        const batchItemFailures = [];
+
+        for (const record of event.Records || []) {
+            try {
+                const change = parseStreamRecord(record);
+                if (filter && !filter(change)) {
+                    continue;
+                }
+                const handler = resolve(change);
+                if (handler) {
+                    await handler(change, context);
+                }
+            } catch (error) {
+                console.error('[createStreamHandler] Error:', {
+                    message: error.message,
+                    code: error.code || error.name,
+                    eventId: record.eventID,
+                    sequenceNumber: record.dynamodb?.SequenceNumber
+                });
+                batchItemFailures.push({ itemIdentifier: record.dynamodb?.SequenceNumber });
+                break;
+            }
+        }
+
+        return { batchItemFailures };
+    };
+};
@@ -0,0 +1,266 @@
+import { Readable, pipeline } from "stream";
+import { createGzip, gunzipSync } from "zlib";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { S3_PATTERNS } from "@taleofddh/constants";
+import { ValidationError } from "@taleofddh/error";
+
+const FORMATS = {
+    jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson' },
+    csv: { extension: 'csv', contentType: 'text/csv' }
+};
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'string' ? value
+        : typeof value === 'number' || typeof value === 'boolean' ? String(value)
+        : JSON.stringify(value instanceof Set ? [...value] : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 rows, allowing quoted cells with embedded separators and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const CSV_TYPES = {
+    string: (cell) => cell,
+    number: (cell) => Number(cell),
+    boolean: (cell) => cell === 'true',
+    json: (cell) => JSON.parse(cell),
+    set: (cell) => new Set(JSON.parse(cell))
+};
+
+/**
+ * Dumps tables to S3 and loads them back, combining the database service's scans and batch writes
+ * with a storage service's putObject/getObject (StorageService instance or the @taleofddh/storage module).
+ *
+ * JSON Lines files hold one { "Item": <DynamoDB JSON> } per line, the layout of DynamoDB's own S3 exports,
+ * and round-trip every type. CSV is for people: nested values are JSON encoded and cells import as strings
+ * unless `types` says otherwise.
+ */
+export class TableTransfer {
+    constructor(database, storage, options = {}) {
+        this.database = database;
+        this.storage = storage;
+        this.options = options;
+    }
+
+    bucket(options) {
+        return options.bucket || this.options.bucket || process.env['S3_BUCKET'];
+    }
+
+    tableName(table, options) {
+        return options.tableName || this.database.resolveTableName(table);
+    }
+
+    /**
+     * Stream a scan of the table to S3 through the storage service's multipart upload, so neither the items
+     * nor the file have to fit in memory. CSV starts with its header, so without `columns` a first scan
+     * collects the attribute names.
+     */
+    async exportTable(table, options = {}) {
+        const { format = 'jsonl', gzip = false, segments = 1 } = options;
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        const tableName = this.tableName(table, options);
+        const scanParams = { TableName: tableName, ...options.params };
+        const scanOptions = { segments, ...(options.logger && { logger: options.logger }) };
+        const columns = format === 'csv' ? options.columns || await this.attributeNames(scanParams, scanOptions) : null;
+
+        let count = 0;
+        const database = this.database;
+        const lines = async function* () {
+            if (columns) {
+                yield columns.map(csvCell).join(',');
+            }
+            for await (const { items } of database.parallelScanPages(scanParams, scanOptions)) {
+                if (items.length === 0) {
+                    continue;
+                }
+                const page = items.map((item) => (columns
+                    ? columns.map((column) => csvCell(item[column])).join(',')
+                    : JSON.stringify({ Item: marshall(item, { convertClassInstanceToMap: true }) })));
+                // Newlines separate lines rather than end them
+                yield `${count > 0 || columns ? '\n' : ''}${page.join('\n')}`;
+                count += items.length;
+            }
+        };
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const key = options.key || S3_PATTERNS.getKey(`exports/${table}/${timestamp}.${FORMATS[format].extension}${gzip ? '.gz' : ''}`);
+        // pipeline passes a failed scan on to the gzip stream, which fails (and aborts) the upload
+        const body = gzip ? pipeline(Readable.from(lines()), createGzip(), () => {}) : lines();
+        let bytes = 0;
+
+        await this.storage.upload({
+            Bucket: this.bucket(options),
+            Key: key,
+            Body: body,
+            ContentType: gzip ? 'application/gzip' : FORMATS[format].contentType,
+            // The item count is only known once the upload has started, so it is returned instead
+            Metadata: { tableName, format }
+        }, {
+            partSize: options.partSize,
+            onProgress: ({ loaded }) => {
+                bytes = loaded;
+            }
+        });
+
+        return { bucket: this.bucket(options), key, tableName, format, gzip, count, bytes };
+    }
+
+    async attributeNames(params, options) {
+        const names = new Set();
+        for await (const { items } of this.database.parallelScanPages(params, options)) {
+            items.forEach((item) => Object.keys(item).forEach((name) => names.add(name)));
+        }
+        return [...names].sort();
+    }
+
+    /**
+     * Parse an export into items; format and compression default from the key's extension
+     */
+    async readExport(options) {
+        const { key } = options;
+        const gzip = options.gzip ?? key.endsWith('.gz');
+        const format = options.format || (key.replace(/\.gz$/, '').endsWith('.csv') ? 'csv' : 'jsonl');
+
+        const data = await this.storage.getObject({ Bucket: this.bucket(options), Key: key });
+        if (!data || !data.Body) {
+            throw new Error(`Export not found: ${key}`);
+        }
+        const raw = Buffer.from(await data.Body.transformToByteArray());
+        const text = (gzip ? gunzipSync(raw) : raw).toString('utf8');
+        const errors = [];
+
+        if (format === 'jsonl') {
+            const items = text.split('\n').map((line, index) => {
+                if (!line.trim()) {
+                    return null;
+                }
+                try {
+                    const parsed = JSON.parse(line);
+                    return unmarshall(parsed.Item || parsed);
+                } catch (error) {
+                    errors.push({ line: index + 1, message: `Invalid JSON line: ${error.message}` });
+                    return null;
+                }
+            });
+            return { items: items.filter(Boolean), errors, format, gzip };
+        }
+
+        const [header = [], ...rows] = parseCsv(text);
+        const types = options.types || {};
+        const items = rows.map((row, index) => {
+            const item = {};
+            header.forEach((column, position) => {
+                const cell = row[position];
+                if (cell === undefined || cell === '') {
+                    return;
+                }
+                try {
+                    item[column] = CSV_TYPES[types[column] || 'string'](cell);
+                } catch (error) {
+                    errors.push({ line: index + 2, message: `Invalid ${types[column]} in column ${column}` });
+                }
+            });
+            return item;
+        });
+        return { items, errors, format, gzip };
+    }
+
+    /**
+     * Load an export into a table. remapKeys rewrites attribute values between stages, e.g.
+     * { pk: (value) => value.replace('dev#', 'prod#') }, and transform may reshape or drop (return null) items.
+     * Everything is validated before the first write; dryRun stops there and reports what would be written.
+     */
+    async importTable(table, options = {}) {
+        const { keyAttributes = [], remapKeys = {}, transform, dryRun = false, concurrency } = options;
+        const tableName = this.tableName(table, options);
+        const { items: parsed, errors, format } = await this.readExport(options);
+
+        const items = [];
+        const seen = new Set();
+        parsed.forEach((original, index) => {
+            let item = { ...original };
+            Object.entries(remapKeys).forEach(([attribute, remap]) => {
+                if (item[attribute] !== undefined) {
+                    item[attribute] = typeof remap === 'function' ? remap(item[attribute], item) : remap[item[attribute]] ?? item[attribute];
+                }
+            });
+            item = transform ? transform(item) : item;
+            if (!item) {
+                return;
+            }
+
+            const missing = keyAttributes.filter((attribute) => !['string', 'number'].includes(typeof item[attribute]));
+            if (missing.length > 0) {
+                errors.push({ item: index + 1, message: `Missing or invalid key attributes: ${missing.join(', ')}` });
+                return;
+            }
+            if (keyAttributes.length > 0) {
+                const id = JSON.stringify(keyAttributes.map((attribute) => item[attribute]));
+                if (seen.has(id)) {
+                    errors.push({ item: index + 1, message: `Duplicate key: ${id}` });
+                    return;
+                }
+                seen.add(id);
+            }
+            items.push(item);
+        });
+
+        const summary = { tableName, key: options.key, format, count: items.length, errors, dryRun };
+        if (dryRun) {
+            return { ...summary, sample: items.slice(0, 5) };
+        }
+        if (errors.length > 0) {
+            const error = new ValidationError(`Import of ${options.key} failed validation`, errors);
+            error.errors = errors;
+            throw error;
+        }
+
+        const { written, failed } = await this.database.batchWriteItems({
+            [tableName]: items.map((item) => ({ PutRequest: { Item: item } }))
+        }, { concurrency, keyAttributes: keyAttributes.length > 0 ? keyAttributes : undefined });
+        return { ...summary, written: written.length, failed };
+    }
+}
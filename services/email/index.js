@@ -1,11 +1,10 @@
 import { SESClient, SendTemplatedEmailCommand }  from "@aws-sdk/client-ses";
 import { simpleParser } from 'mailparser';
+import { AWS_CLIENT } from "@taleofddh/constants";
 
 class EmailService {
-    constructor() {
-        this.client = new SESClient({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new SESClient(AWS_CLIENT.getClientConfig(options));
     }
 
     handleError(error, methodName, options = {}) {
@@ -63,5 +62,8 @@ const emailService = new EmailService();
 export const send = (params) => emailService.send(params);
 export const parse = (params) => emailService.parse(params);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createEmailService = (options) => new EmailService(options);
+
 // Also export the class for backward compatibility
 export { EmailService as Email };
\ No newline at end of file
@@ -1,10 +1,9 @@
 import { STSClient, GetCallerIdentityCommand } from "@aws-sdk/client-sts";
+import { AWS_CLIENT } from "@taleofddh/constants";
 
 class IdentityService {
-    constructor() {
-        this.client = new STSClient({
-            region: process.env["REGION"] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new STSClient(AWS_CLIENT.getClientConfig(options));
     }
 
     handleError(error, methodName, options = {}) {
@@ -39,5 +38,8 @@ class IdentityService {
 const identityService = new IdentityService();
 export const get = (params) => identityService.get(params);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createIdentityService = (options) => new IdentityService(options);
+
 // Also export the class for backward compatibility
 export { IdentityService as Identity };
\ No newline at end of file
@@ -1,10 +1,9 @@
 import { SQSClient, SendMessageCommand, ReceiveMessageCommand, DeleteMessageCommand } from "@aws-sdk/client-sqs";
+import { AWS_CLIENT } from "@taleofddh/constants";
 
 class MessageService {
-    constructor() {
-        this.client = new SQSClient({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new SQSClient(AWS_CLIENT.getClientConfig(options));
     }
 
     handleError(error, methodName, options = {}) {
@@ -80,5 +79,8 @@ export const receive = (params) => messageService.receive(params);
 export const deleteMessage = (params) => messageService.deleteMessage(params);
 export const receiveAndDelete = (params) => messageService.receiveAndDelete(params);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createMessageService = (options) => new MessageService(options);
+
 // Also export the class for backward compatibility
 export { MessageService as Message };
\ No newline at end of file
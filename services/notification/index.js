@@ -1,10 +1,9 @@
 import { SNSClient, PublishCommand, SubscribeCommand } from "@aws-sdk/client-sns";
+import { AWS_CLIENT } from "@taleofddh/constants";
 
 class NotificationService {
-    constructor() {
-        this.client = new SNSClient({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new SNSClient(AWS_CLIENT.getClientConfig(options));
     }
 
     handleError(error, methodName, options = {}) {
@@ -50,5 +49,8 @@ const notificationService = new NotificationService();
 export const publish = (params) => notificationService.publish(params);
 export const subscribe = (params) => notificationService.subscribe(params);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createNotificationService = (options) => new NotificationService(options);
+
 // Also export the class for backward compatibility
 export { NotificationService as Notification };
\ No newline at end of file
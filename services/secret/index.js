@@ -1,10 +1,9 @@
 import { SecretsManagerClient, GetSecretValueCommand, PutSecretValueCommand } from "@aws-sdk/client-secrets-manager";
+import { AWS_CLIENT } from "@taleofddh/constants";
 
 class SecretService {
-    constructor() {
-        this.client = new SecretsManagerClient({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || new SecretsManagerClient(AWS_CLIENT.getClientConfig(options));
     }
 
     handleError(error, methodName, options = {}) {
@@ -57,5 +56,8 @@ const secretService = new SecretService();
 export const getSecretValue = (params) => secretService.getSecretValue(params);
 export const putSecretValue = (params) => secretService.putSecretValue(params);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createSecretService = (options) => new SecretService(options);
+
 // Also export the class for backward compatibility
 export { SecretService as Secret };
\ No newline at end of file
@@ -0,0 +1,157 @@
+import { GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { S3_PATTERNS, CACHE_CONFIG, MEDIA_TYPES } from "@taleofddh/constants";
+import { ValidationError, NotFoundError, ConflictError } from "@taleofddh/error";
+import ValidationHelper from "@taleofddh/validation";
+
+const isStatus = (error, name, status) => error.name === name || error.$metadata?.httpStatusCode === status;
+
+/**
+ * JSON configuration objects (S3_PATTERNS.getConfigKey(name), the key operation() uses) cached per StorageService,
+ * so they survive warm invocations. After `ttl` seconds a read revalidates with If-None-Match and only downloads
+ * the object again when its ETag changed. Writes use If-Match so concurrent editors cannot overwrite each other.
+ *
+ * schemas map a config name to ValidationHelper validators ({ field: validator }, applied to every element of
+ * array configs) or to a function returning a ValidationHelper result.
+ */
+export class ConfigStore {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = {
+            ttl: CACHE_CONFIG.DEFAULT_TTL,
+            keyFor: S3_PATTERNS.getConfigKey,
+            schemas: {},
+            ...options
+        };
+        this.entries = new Map();
+        this.pending = new Map();
+    }
+
+    get bucket() {
+        return this.options.bucket || process.env['S3_BUCKET'];
+    }
+
+    validate(name, value, schema = this.options.schemas[name]) {
+        if (!schema) {
+            return value;
+        }
+        const check = (item) => (typeof schema === 'function' ? schema(item) : ValidationHelper.validateObject(item, schema));
+        const results = Array.isArray(value) && typeof schema !== 'function' ? value.map(check) : [check(value)];
+        const errors = results.flatMap((result, index) => {
+            return result.isValid ? [] : result.errors.map((message) => (results.length > 1 ? `[${index}] ${message}` : message));
+        });
+        if (errors.length > 0) {
+            const error = new ValidationError(`Invalid configuration '${name}'`, errors);
+            error.errors = errors;
+            throw error;
+        }
+        return value;
+    }
+
+    /**
+     * Parsed configuration, from the cache while fresh. options.refresh forces revalidation;
+     * options.defaultValue is returned (not cached) when the object does not exist.
+     */
+    async get(name, options = {}) {
+        const ttl = options.ttl ?? this.options.ttl;
+        let entry = this.entries.get(name);
+        if (!entry || options.refresh || Date.now() - entry.loadedAt >= ttl * 1000) {
+            // Concurrent reads of the same config share one request; defaults and validation stay per caller
+            if (!this.pending.has(name)) {
+                this.pending.set(name, this.load(name, entry).finally(() => this.pending.delete(name)));
+            }
+            entry = await this.pending.get(name);
+        }
+        if (!entry) {
+            if (options.defaultValue !== undefined) {
+                return options.defaultValue;
+            }
+            throw new NotFoundError(`Configuration '${name}' not found`, { key: this.options.keyFor(name) });
+        }
+        return structuredClone(this.validate(name, entry.value, options.schema));
+    }
+
+    // The cache entry for the stored object (revalidated by ETag), or null when it does not exist
+    async load(name, entry) {
+        try {
+            const data = await this.storage.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.options.keyFor(name),
+                ...(entry && { IfNoneMatch: entry.etag })
+            }));
+            const loaded = { value: JSON.parse(await data.Body.transformToString()), etag: data.ETag, loadedAt: Date.now() };
+            this.entries.set(name, loaded);
+            return loaded;
+        } catch (error) {
+            if (entry && isStatus(error, 'NotModified', 304)) {
+                entry.loadedAt = Date.now();
+                return entry;
+            }
+            if (isStatus(error, 'NoSuchKey', 404)) {
+                this.entries.delete(name);
+                return null;
+            }
+            return this.storage.handleError(error, 'ConfigStore.get');
+        }
+    }
+
+    /**
+     * Validate and write a configuration. ifMatch is an ETag, or true for the ETag this store last read;
+     * ifNoneMatch: true only creates. A precondition failure means someone else wrote first: ConflictError.
+     */
+    async put(name, value, options = {}) {
+        const key = this.options.keyFor(name);
+        this.validate(name, value, options.schema);
+        const ifMatch = options.ifMatch === true ? this.entries.get(name)?.etag : options.ifMatch;
+        if (options.ifMatch === true && !ifMatch) {
+            throw new Error(`Configuration '${name}' has not been read, so there is no ETag to match`);
+        }
+
+        try {
+            const data = await this.storage.client.send(new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: key,
+                Body: JSON.stringify(value),
+                ContentType: MEDIA_TYPES.JSON,
+                ...(ifMatch && { IfMatch: ifMatch }),
+                ...(options.ifNoneMatch && { IfNoneMatch: '*' })
+            }));
+            this.entries.set(name, { value: structuredClone(value), etag: data.ETag, loadedAt: Date.now() });
+            return { etag: data.ETag };
+        } catch (error) {
+            if (isStatus(error, 'PreconditionFailed', 412) || isStatus(error, 'ConditionalRequestConflict', 409)) {
+                // Whatever we had cached is stale now
+                this.entries.delete(name);
+                throw new ConflictError(`Configuration '${name}' was changed by another writer`, { key });
+            }
+            return this.storage.handleError(error, 'ConfigStore.put');
+        }
+    }
+
+    /**
+     * Read-modify-write: apply fn to the current value and write it back with If-Match, retrying on conflicts
+     */
+    async update(name, fn, options = {}) {
+        const { retries = 3 } = options;
+        for (let attempt = 0; ; attempt++) {
+            const current = await this.get(name, { ...options, refresh: true });
+            const next = await fn(current);
+            const exists = this.entries.has(name);
+            try {
+                await this.put(name, next, { ...options, ...(exists ? { ifMatch: true } : { ifNoneMatch: true }) });
+                return next;
+            } catch (error) {
+                if (!(error instanceof ConflictError) || attempt >= retries) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    invalidate(name) {
+        this.entries.delete(name);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
@@ -1,11 +1,144 @@
-import { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, SelectObjectContentCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, SelectObjectContentCommand, HeadObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, CopyObjectCommand, UploadPartCopyCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createPresignedPost as presignPost } from "@aws-sdk/s3-presigned-post";
+import { chunk, mapWithConcurrency } from "@taleofddh/array";
+import { AWS_CLIENT, FILE_LIMITS, MEDIA_TYPES } from "@taleofddh/constants";
+import { ConfigStore } from "./config.js";
+import { FileSystemS3Client } from "./filesystem.js";
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+const DEFAULT_COPY_PART_SIZE = 512 * 1024 * 1024;
+const DELETE_BATCH_LIMIT = 1000;
+// HeadObject fields a multipart copy passes on to the new object
+const COPIED_HEADERS = ['ContentType', 'ContentEncoding', 'ContentLanguage', 'ContentDisposition', 'CacheControl', 'Expires', 'Metadata', 'StorageClass'];
+// PutObject parameters CreateMultipartUpload does not take
+const SINGLE_REQUEST_PARAMS = ['ContentLength', 'ContentMD5', 'ChecksumCRC32', 'ChecksumCRC32C', 'ChecksumSHA1', 'ChecksumSHA256', 'IfNoneMatch', 'IfMatch'];
+// Parameters every UploadPart, CompleteMultipartUpload and AbortMultipartUpload call repeats
+const PART_PARAMS = ['Bucket', 'Key', 'SSECustomerAlgorithm', 'SSECustomerKey', 'SSECustomerKeyMD5', 'RequestPayer', 'ExpectedBucketOwner'];
+
+// Split a Buffer, string or async iterable of chunks into Buffers of exactly partSize (the last may be shorter)
+async function* bodyParts(body, partSize) {
+    if (typeof body === 'string' || ArrayBuffer.isView(body)) {
+        const buffer = Buffer.isBuffer(body) ? body : typeof body === 'string' ? Buffer.from(body) : Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+        for (let offset = 0; offset < buffer.length; offset += partSize) {
+            yield buffer.subarray(offset, offset + partSize);
+        }
+        return;
+    }
+
+    let pending = [];
+    let pendingLength = 0;
+    let count = 0;
+    for await (const chunk of body) {
+        const buffer = Buffer.from(chunk);
+        pending.push(buffer);
+        pendingLength += buffer.length;
+        while (pendingLength >= partSize) {
+            const joined = Buffer.concat(pending);
+            yield joined.subarray(0, partSize);
+            count++;
+            pending = [joined.subarray(partSize)];
+            pendingLength -= partSize;
+        }
+    }
+    // An empty stream still needs one (empty) part
+    if (pendingLength > 0 || count === 0) {
+        yield Buffer.concat(pending);
+    }
+}
+
+// Upload size limit for a content type when the caller does not set one
+const sizeLimitFor = (contentType = '') => {
+    if (contentType.startsWith('image/')) {
+        return FILE_LIMITS.MAX_IMAGE_SIZE;
+    }
+    if (contentType === MEDIA_TYPES.JSON) {
+        return FILE_LIMITS.MAX_JSON_SIZE;
+    }
+    return FILE_LIMITS.MAX_UPLOAD_SIZE;
+};
+
+// Shared by createPresignedPost and verifyUpload; allowedTypes takes MEDIA_TYPES names or content types
+const uploadPolicy = (options) => {
+    const allowedTypes = (options.allowedTypes || Object.keys(MEDIA_TYPES)).map((type) => MEDIA_TYPES[type] || type);
+    const contentType = MEDIA_TYPES[options.contentType] || options.contentType || MEDIA_TYPES.JSON;
+    return {
+        allowedTypes,
+        contentType,
+        minSize: options.minSize ?? 1,
+        maxSize: options.maxSize ?? sizeLimitFor(contentType),
+        keyPrefix: options.keyPrefix,
+        metadata: options.metadata || {}
+    };
+};
+
+const SELECT_COMPRESSION = ['NONE', 'GZIP', 'BZIP2'];
+// File extensions operation('selectRows') expects for each format and compression
+const SELECT_EXTENSIONS = { json: '.json', jsonl: '.jsonl', csv: '.csv', parquet: '.parquet', GZIP: '.gz', BZIP2: '.bz2' };
+
+// S3 Select InputSerialization for selectRows options
+const inputSerialization = (options) => {
+    const { format = 'json', compression = 'NONE', csv = {} } = options;
+    if (!SELECT_COMPRESSION.includes(compression)) {
+        throw new Error(`Unsupported compression: ${compression}`);
+    }
+    switch (format) {
+        case 'csv':
+            return {
+                CompressionType: compression,
+                CSV: {
+                    FileHeaderInfo: csv.header || 'USE',
+                    FieldDelimiter: csv.delimiter || ',',
+                    QuoteCharacter: csv.quote || '"',
+                    RecordDelimiter: csv.recordDelimiter || '\n',
+                    ...(csv.comments && { Comments: csv.comments }),
+                    AllowQuotedRecordDelimiter: csv.allowQuotedRecordDelimiter ?? false
+                }
+            };
+        case 'jsonl':
+            return { CompressionType: compression, JSON: { Type: 'LINES' } };
+        case 'json':
+            return { CompressionType: compression, JSON: { Type: 'DOCUMENT' } };
+        case 'parquet':
+            // Parquet files carry their own column compression
+            if (compression !== 'NONE') {
+                throw new Error('Parquet input does not take a compression type');
+            }
+            return { Parquet: {} };
+        default:
+            throw new Error(`Unsupported select format: ${format}`);
+    }
+};
+
+// CopySource is "bucket/key" with the key URL-encoded segment by segment
+const copySource = ({ Bucket, Key }) => `${Bucket}/${Key.split('/').map(encodeURIComponent).join('/')}`;
+
+const rangeHeader = (range) => {
+    if (typeof range === 'string') {
+        return range;
+    }
+    if (range.last !== undefined) {
+        return `bytes=-${range.last}`;
+    }
+    return `bytes=${range.start || 0}-${range.end ?? ''}`;
+};
+
+// S3, or a directory on disk with backend 'filesystem' (or STORAGE_BACKEND=filesystem) under root (or STORAGE_ROOT)
+const createClient = (options) => {
+    if ((options.backend || process.env['STORAGE_BACKEND']) === 'filesystem') {
+        return new FileSystemS3Client({ root: options.root, baseUrl: options.baseUrl });
+    }
+    return new S3Client(AWS_CLIENT.getClientConfig(options, ['forcePathStyle']));
+};
 
 class StorageService {
-    constructor() {
-        this.client = new S3Client({
-            region: process.env['REGION'] || 'eu-west-1'
-        });
+    constructor(options = {}) {
+        this.client = options.client || createClient(options);
+        // Cached JSON configuration objects; options.config takes ttl, bucket, keyFor and schemas
+        this.config = new ConfigStore(this, options.config);
     }
 
     handleError(error, methodName, options = {}) {
@@ -26,29 +159,109 @@ class StorageService {
     }
 
     async listBucket(params) {
-        const command = new ListObjectsV2Command(params);
+        const prefixLength = (params.Prefix || '').length;
 
         try {
-            const data = await this.client.send(command);
-            return data.CommonPrefixes.map((commonPrefix) => {
-                return commonPrefix.Prefix.substring(params.Prefix.length).replace('/', '');
-            });
+            const prefixes = [];
+            for await (const page of this.listObjectsPages(params, { methodName: 'listBucket' })) {
+                prefixes.push(...page.prefixes.map((prefix) => prefix.substring(prefixLength).replace('/', '')));
+            }
+            return prefixes;
         } catch (error) {
-            return this.handleError(error, 'listBucket', { fallback: [] });
+            // Already logged by listObjectsPages
+            return [];
         }
     }
 
     async listFolder(params) {
-        const command = new ListObjectsV2Command(params);
-
         try {
-            const data = await this.client.send(command);
-            return data.Contents.map((object) => {
-                return object.Key.substring(params.Prefix.length);
-            });
+            const names = [];
+            for await (const page of this.listObjectsPages(params, { methodName: 'listFolder' })) {
+                names.push(...page.objects.map((object) => object.name));
+            }
+            return names;
         } catch (error) {
-            return this.handleError(error, 'listFolder', { fallback: [] });
+            // Already logged by listObjectsPages
+            return [];
+        }
+    }
+
+    /**
+     * Follow ListObjectsV2 continuation tokens, yielding { objects, prefixes, continuationToken } per page.
+     * Objects carry key, name (relative to Prefix), size, etag, lastModified and storageClass;
+     * prefixes are the page's CommonPrefixes when a Delimiter is given.
+     */
+    async *listObjectsPages(params, options = {}) {
+        const prefixLength = (params.Prefix || '').length;
+        let continuationToken = options.continuationToken || params.ContinuationToken;
+        let remaining = options.limit;
+
+        do {
+            const pageParams = { ...params };
+            if (continuationToken) {
+                pageParams.ContinuationToken = continuationToken;
+            }
+            // Never ask for more than the caller still wants, so the token stays an exact resume point
+            if (remaining !== undefined) {
+                pageParams.MaxKeys = Math.min(params.MaxKeys || remaining, remaining);
+            }
+
+            let data;
+            try {
+                data = await this.client.send(new ListObjectsV2Command(pageParams));
+            } catch (error) {
+                this.handleError(error, options.methodName || 'listObjectsPages');
+            }
+
+            const objects = (data.Contents || []).map((object) => ({
+                key: object.Key,
+                name: object.Key.substring(prefixLength),
+                size: object.Size,
+                etag: object.ETag ? object.ETag.replace(/"/g, '') : undefined,
+                lastModified: object.LastModified,
+                storageClass: object.StorageClass
+            }));
+            const prefixes = (data.CommonPrefixes || []).map((commonPrefix) => commonPrefix.Prefix);
+            continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+            if (remaining !== undefined) {
+                remaining -= objects.length + prefixes.length;
+            }
+
+            yield { objects, prefixes, continuationToken };
+        } while (continuationToken && (remaining === undefined || remaining > 0));
+    }
+
+    async listObjects(params, options = {}) {
+        const objects = [];
+        const prefixes = [];
+        let continuationToken;
+        for await (const page of this.listObjectsPages(params, options)) {
+            objects.push(...page.objects);
+            prefixes.push(...page.prefixes);
+            continuationToken = page.continuationToken;
         }
+        return { objects, prefixes, continuationToken };
+    }
+
+    /**
+     * Folder tree under params.Prefix: { prefix, name, objects, folders: [subtree, ...] }, descending at most
+     * maxDepth levels (unlimited by default). Folders below maxDepth are listed with empty contents.
+     */
+    async listTree(params, options = {}) {
+        const { maxDepth = Infinity, depth = 0 } = options;
+        const prefix = params.Prefix || '';
+        const delimiter = params.Delimiter || '/';
+        const { objects, prefixes } = await this.listObjects({ ...params, Prefix: prefix, Delimiter: delimiter });
+
+        const folders = [];
+        for (const folderPrefix of prefixes) {
+            folders.push(depth + 1 < maxDepth
+                ? await this.listTree({ ...params, Prefix: folderPrefix, Delimiter: delimiter }, { maxDepth, depth: depth + 1 })
+                : { prefix: folderPrefix, name: folderPrefix.substring(prefix.length).replace(delimiter, ''), objects: [], folders: [] });
+        }
+
+        const parent = prefix.endsWith(delimiter) ? prefix.slice(0, -delimiter.length) : prefix;
+        return { prefix, name: parent.substring(parent.lastIndexOf(delimiter) + 1), objects, folders };
     }
 
     async getObject(params) {
@@ -61,21 +274,29 @@ class StorageService {
         }
     }
 
-    async putObjectSignedUrl(params) {
+    // Clients that cannot sign (FileSystemS3Client) provide their own stand-in URLs
+    async signedUrl(command, options) {
+        const expiresIn = options.expiresIn || 3600;
+        return typeof this.client.presign === 'function'
+            ? this.client.presign(command, { expiresIn })
+            : getSignedUrl(this.client, command, { expiresIn });
+    }
+
+    async putObjectSignedUrl(params, options = {}) {
         const command = new PutObjectCommand(params);
 
         try {
-            return await getSignedUrl(this.client, command, { expiresIn: 3600 });
+            return await this.signedUrl(command, options);
         } catch (error) {
             this.handleError(error, 'putObjectSignedUrl');
         }
     }
 
-    async getObjectSignedUrl(params) {
+    async getObjectSignedUrl(params, options = {}) {
         const command = new GetObjectCommand(params);
 
         try {
-            return await getSignedUrl(this.client, command, { expiresIn: 3600 });
+            return await this.signedUrl(command, options);
         } catch (error) {
             this.handleError(error, 'getObjectSignedUrl');
         }
@@ -111,6 +332,60 @@ class StorageService {
         }
     }
 
+    /**
+     * Run an S3 Select expression and yield parsed rows. options.format is 'csv', 'jsonl', 'json' (one JSON
+     * document) or 'parquet'; compression 'GZIP' or 'BZIP2' for CSV and JSON. CSV headers are used as
+     * column names unless csv.header is 'NONE' or 'IGNORE' (columns _1, _2, ...). onStats receives
+     * { bytesScanned, bytesProcessed, bytesReturned } when S3 reports them.
+     */
+    async *selectRows(params, options = {}) {
+        const { Expression, ...objectParams } = params;
+        const command = new SelectObjectContentCommand({
+            ExpressionType: 'SQL',
+            Expression,
+            InputSerialization: inputSerialization(options),
+            // Rows always come back as JSON lines, whatever the input format
+            OutputSerialization: { JSON: { RecordDelimiter: '\n' } },
+            ...objectParams
+        });
+
+        try {
+            const data = await this.client.send(command);
+            const decoder = new TextDecoder();
+            let buffered = '';
+
+            for await (const event of data.Payload) {
+                if (event.Records) {
+                    // Payload chunks do not respect record boundaries
+                    buffered += decoder.decode(event.Records.Payload, { stream: true });
+                    const lines = buffered.split('\n');
+                    buffered = lines.pop();
+                    for (const line of lines.filter((candidate) => candidate.trim())) {
+                        yield JSON.parse(line);
+                    }
+                } else if (event.Stats && options.onStats) {
+                    const { BytesScanned, BytesProcessed, BytesReturned } = event.Stats.Details;
+                    options.onStats({ bytesScanned: BytesScanned, bytesProcessed: BytesProcessed, bytesReturned: BytesReturned });
+                }
+            }
+            buffered += decoder.decode();
+            if (buffered.trim()) {
+                yield JSON.parse(buffered);
+            }
+        } catch (error) {
+            this.handleError(error, 'selectRows');
+        }
+    }
+
+    async selectAll(params, options = {}) {
+        const rows = [];
+        let stats = null;
+        for await (const row of this.selectRows(params, { ...options, onStats: (reported) => (stats = reported) })) {
+            rows.push(row);
+        }
+        return { rows, stats };
+    }
+
     async headObject(params) {
         const command = new HeadObjectCommand(params);
 
@@ -121,6 +396,356 @@ class StorageService {
         }
     }
 
+    /**
+     * Upload a Buffer, string or stream (any async iterable of chunks). Bodies smaller than one part go up with
+     * a single PutObject; anything else as a multipart upload of partSize parts, concurrency at a time, holding
+     * at most that many parts in memory. onProgress receives { loaded, total, part } after every part; total is
+     * only known for buffers, strings or a given ContentLength. A failed upload is aborted so no parts linger.
+     */
+    async upload(params, options = {}) {
+        const { concurrency = 4, onProgress } = options;
+        const { Body: body, ...objectParams } = params;
+        const total = typeof body === 'string' ? Buffer.byteLength(body) : body?.byteLength ?? params.ContentLength;
+        // S3 allows at most 10,000 parts of at least 5 MB
+        const partSize = Math.max(options.partSize || DEFAULT_PART_SIZE, MIN_PART_SIZE, total ? Math.ceil(total / MAX_PARTS) : 0);
+
+        if (total !== undefined && total <= partSize && (typeof body === 'string' || ArrayBuffer.isView(body))) {
+            const data = await this.putObject(params);
+            if (onProgress) {
+                onProgress({ loaded: total, total, part: 1 });
+            }
+            return { ...data, Bucket: params.Bucket, Key: params.Key, parts: 1 };
+        }
+
+        const createParams = Object.fromEntries(Object.entries(objectParams).filter(([name]) => !SINGLE_REQUEST_PARAMS.includes(name)));
+        const partParams = Object.fromEntries(Object.entries(objectParams).filter(([name]) => PART_PARAMS.includes(name)));
+        let uploadId;
+
+        try {
+            ({ UploadId: uploadId } = await this.client.send(new CreateMultipartUploadCommand(createParams)));
+
+            const parts = [];
+            const inFlight = new Set();
+            let loaded = 0;
+            let partNumber = 0;
+            let failure;
+
+            for await (const chunk of bodyParts(body, partSize)) {
+                if (failure) {
+                    break;
+                }
+                const current = ++partNumber;
+                const upload = this.client.send(new UploadPartCommand({
+                    ...partParams,
+                    UploadId: uploadId,
+                    PartNumber: current,
+                    Body: chunk,
+                    ContentLength: chunk.length
+                })).then(({ ETag }) => {
+                    parts.push({ PartNumber: current, ETag });
+                    loaded += chunk.length;
+                    if (onProgress) {
+                        onProgress({ loaded, total, part: current });
+                    }
+                }).catch((error) => {
+                    failure = failure || error;
+                }).finally(() => inFlight.delete(upload));
+                inFlight.add(upload);
+                if (inFlight.size >= concurrency) {
+                    await Promise.race(inFlight);
+                }
+            }
+            await Promise.all(inFlight);
+            if (failure) {
+                throw failure;
+            }
+
+            const data = await this.client.send(new CompleteMultipartUploadCommand({
+                ...partParams,
+                UploadId: uploadId,
+                MultipartUpload: { Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber) }
+            }));
+            return { ...data, parts: parts.length };
+        } catch (error) {
+            if (uploadId) {
+                await this.client.send(new AbortMultipartUploadCommand({ ...partParams, UploadId: uploadId })).catch((abortError) => {
+                    this.handleError(abortError, 'upload', { fallback: null });
+                });
+            }
+            this.handleError(error, 'upload');
+        }
+    }
+
+    /**
+     * Copy one object; source and destination are { Bucket, Key }, the destination optionally with further
+     * CopyObject parameters. Objects over 5 GB (the CopyObject limit) are copied as multipart uploads of
+     * partSize byte ranges. Pass options.head (the source's HeadObject response) or options.size when already known
+     * to skip the HeadObject; a multipart copy reuses the head it was given or made.
+     */
+    async copyObject(source, destination, options = {}) {
+        try {
+            const head = options.head || (options.size === undefined
+                ? await this.client.send(new HeadObjectCommand({ Bucket: source.Bucket, Key: source.Key }))
+                : undefined);
+            const size = options.size ?? head.ContentLength;
+            if (size <= MAX_COPY_SIZE) {
+                return await this.client.send(new CopyObjectCommand({ ...destination, CopySource: copySource(source) }));
+            }
+            return await this.multipartCopy(source, destination, size, { ...options, head });
+        } catch (error) {
+            this.handleError(error, 'copyObject');
+        }
+    }
+
+    /**
+     * options.head takes the source's HeadObject response when the caller already has it
+     */
+    async multipartCopy(source, destination, size, options = {}) {
+        const { concurrency = 4 } = options;
+        const partSize = Math.max(options.partSize || DEFAULT_COPY_PART_SIZE, Math.ceil(size / MAX_PARTS));
+        // CopyObject carries the source's headers and metadata over by default; a multipart copy has to be told
+        const head = options.head || await this.client.send(new HeadObjectCommand({ Bucket: source.Bucket, Key: source.Key }));
+        const inherited = Object.fromEntries(COPIED_HEADERS.filter((name) => head[name] !== undefined).map((name) => [name, head[name]]));
+        const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({ ...inherited, ...destination }));
+
+        try {
+            const ranges = [];
+            for (let start = 0; start < size; start += partSize) {
+                ranges.push({ start, end: Math.min(start + partSize, size) - 1 });
+            }
+            const parts = await mapWithConcurrency(ranges, concurrency, async ({ start, end }, index) => {
+                const data = await this.client.send(new UploadPartCopyCommand({
+                    Bucket: destination.Bucket,
+                    Key: destination.Key,
+                    UploadId,
+                    PartNumber: index + 1,
+                    CopySource: copySource(source),
+                    CopySourceRange: `bytes=${start}-${end}`
+                }));
+                return { PartNumber: index + 1, ETag: data.CopyPartResult.ETag };
+            });
+            return await this.client.send(new CompleteMultipartUploadCommand({
+                Bucket: destination.Bucket,
+                Key: destination.Key,
+                UploadId,
+                MultipartUpload: { Parts: parts }
+            }));
+        } catch (error) {
+            await this.client.send(new AbortMultipartUploadCommand({ Bucket: destination.Bucket, Key: destination.Key, UploadId })).catch((abortError) => {
+                this.handleError(abortError, 'multipartCopy', { fallback: null });
+            });
+            throw error;
+        }
+    }
+
+    async moveObject(source, destination, options = {}) {
+        const data = await this.copyObject(source, destination, options);
+        if (source.Bucket !== destination.Bucket || source.Key !== destination.Key) {
+            await this.deleteObject({ Bucket: source.Bucket, Key: source.Key });
+        }
+        return data;
+    }
+
+    /**
+     * Delete keys with DeleteObjects in batches of 1000; returns { deleted, failed: [{ key, code, message }] }
+     */
+    async deleteObjects(bucket, keys, options = {}) {
+        const { concurrency = 4 } = options;
+        const deleted = [];
+        const failed = [];
+
+        await mapWithConcurrency(chunk(keys, DELETE_BATCH_LIMIT), concurrency, async (batch) => {
+            try {
+                const data = await this.client.send(new DeleteObjectsCommand({
+                    Bucket: bucket,
+                    Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true }
+                }));
+                const errors = data.Errors || [];
+                const failedKeys = new Set(errors.map((error) => error.Key));
+                failed.push(...errors.map((error) => ({ key: error.Key, code: error.Code, message: error.Message })));
+                deleted.push(...batch.filter((key) => !failedKeys.has(key)));
+            } catch (error) {
+                this.handleError(error, 'deleteObjects', { fallback: null });
+                failed.push(...batch.map((key) => ({ key, code: error.name, message: error.message })));
+            }
+        });
+
+        return { deleted, failed };
+    }
+
+    /**
+     * Copy everything under source.Prefix to destination.Prefix (same or another bucket), keeping the relative keys;
+     * other destination fields (StorageClass, ...) apply to every copy. A destination in the same bucket
+     * at or under the source prefix is rejected.
+     * Returns { copied: [{ source, destination }], failed: [{ key, code, message }] }.
+     */
+    async copyPrefix(source, destination, options = {}) {
+        const { concurrency = 8 } = options;
+        const { Prefix: destinationPrefix, ...destinationParams } = destination;
+        // Pages are listed while copying, so a destination inside the source would copy its own output again
+        if ((destination.Bucket || source.Bucket) === source.Bucket && destinationPrefix.startsWith(source.Prefix || '')) {
+            throw new Error(`Destination prefix ${destinationPrefix} is inside the source prefix ${source.Prefix}`);
+        }
+        const copied = [];
+        const failed = [];
+
+        for await (const { objects } of this.listObjectsPages({ Bucket: source.Bucket, Prefix: source.Prefix }, { methodName: 'copyPrefix' })) {
+            await mapWithConcurrency(objects, concurrency, async (object) => {
+                const destinationKey = destinationPrefix + object.name;
+                try {
+                    await this.copyObject(
+                        { Bucket: source.Bucket, Key: object.key },
+                        { ...destinationParams, Bucket: destination.Bucket || source.Bucket, Key: destinationKey },
+                        { ...options, size: object.size }
+                    );
+                    copied.push({ source: object.key, destination: destinationKey });
+                } catch (error) {
+                    failed.push({ key: object.key, code: error.name, message: error.message });
+                }
+            });
+        }
+
+        return { copied, failed };
+    }
+
+    /**
+     * Copy a prefix, then delete the sources that were copied; sources that failed to copy are left in place
+     */
+    async movePrefix(source, destination, options = {}) {
+        const { copied, failed } = await this.copyPrefix(source, destination, options);
+        const { deleted, failed: deleteFailed } = await this.deleteObjects(source.Bucket, copied.map((entry) => entry.source), options);
+        const deletedKeys = new Set(deleted);
+        return {
+            moved: copied.filter((entry) => deletedKeys.has(entry.source)),
+            failed: [...failed, ...deleteFailed]
+        };
+    }
+
+    async deletePrefix(params, options = {}) {
+        const deleted = [];
+        const failed = [];
+        for await (const { objects } of this.listObjectsPages({ Bucket: params.Bucket, Prefix: params.Prefix }, { methodName: 'deletePrefix' })) {
+            const result = await this.deleteObjects(params.Bucket, objects.map((object) => object.key), options);
+            deleted.push(...result.deleted);
+            failed.push(...result.failed);
+        }
+        return { deleted, failed };
+    }
+
+    /**
+     * Presigned POST for browser uploads. The policy restricts the content type (checked against allowedTypes
+     * before signing), the size (FILE_LIMITS by content type unless maxSize is given), the key (Key, or any
+     * name under keyPrefix) and the x-amz-meta-* metadata, and expires after `expires` seconds.
+     */
+    async createPresignedPost(params, options = {}) {
+        const { expires = 3600 } = options;
+        const policy = uploadPolicy(options);
+        if (!policy.keyPrefix && !params.Key) {
+            throw new Error('createPresignedPost requires a Key or a keyPrefix');
+        }
+        if (policy.keyPrefix && params.Key && !params.Key.startsWith(policy.keyPrefix)) {
+            throw new Error(`Key ${params.Key} is outside the allowed prefix ${policy.keyPrefix}`);
+        }
+        if (!policy.allowedTypes.includes(policy.contentType)) {
+            throw new Error(`Content type ${policy.contentType} is not allowed`);
+        }
+
+        // Form field names are case-insensitive, so no spelling of Content-Type in options.fields may replace the checked one
+        const fields = Object.fromEntries(Object.entries(options.fields || {}).filter(([name]) => name.toLowerCase() !== 'content-type'));
+        fields['Content-Type'] = policy.contentType;
+        Object.entries(policy.metadata).forEach(([name, value]) => {
+            fields[`x-amz-meta-${name.toLowerCase()}`] = String(value);
+        });
+
+        try {
+            const postOptions = {
+                Bucket: params.Bucket,
+                // ${filename} lets the browser choose the name; the presigner then only requires the prefix
+                Key: params.Key || `${policy.keyPrefix}\${filename}`,
+                // Fields become exact-match conditions as well
+                Conditions: [['content-length-range', policy.minSize, policy.maxSize]],
+                Fields: fields,
+                Expires: expires
+            };
+            const { url, fields: formFields } = typeof this.client.presignPost === 'function'
+                ? await this.client.presignPost(postOptions)
+                : await presignPost(this.client, postOptions);
+            return {
+                url,
+                fields: formFields,
+                maxSize: policy.maxSize,
+                expiresAt: new Date(Date.now() + expires * 1000).toISOString()
+            };
+        } catch (error) {
+            this.handleError(error, 'createPresignedPost');
+        }
+    }
+
+    /**
+     * Check an uploaded object against the same policy options given to createPresignedPost. Returns
+     * { valid, errors, object } where object is the HeadObject response; invalid objects are deleted with deleteInvalid.
+     */
+    async verifyUpload(params, options = {}) {
+        const policy = uploadPolicy(options);
+        const object = await this.headObject(params);
+        if (!object) {
+            return { valid: false, errors: [`Object ${params.Key} not found`], object: null };
+        }
+
+        const errors = [];
+        if (policy.keyPrefix && !params.Key.startsWith(policy.keyPrefix)) {
+            errors.push(`Key ${params.Key} is outside the allowed prefix ${policy.keyPrefix}`);
+        }
+        const contentType = (object.ContentType || '').split(';')[0].trim();
+        if (!policy.allowedTypes.includes(contentType)) {
+            errors.push(`Content type ${contentType || 'unknown'} is not allowed`);
+        } else if (options.contentType && contentType !== policy.contentType) {
+            errors.push(`Content type ${contentType} does not match ${policy.contentType}`);
+        }
+        // Without an explicit maxSize the limit follows the stored content type
+        const maxSize = options.maxSize ?? sizeLimitFor(contentType);
+        if (object.ContentLength < policy.minSize || object.ContentLength > maxSize) {
+            errors.push(`Size ${object.ContentLength} is outside ${policy.minSize}-${maxSize} bytes`);
+        }
+        Object.entries(policy.metadata).forEach(([name, value]) => {
+            if ((object.Metadata || {})[name.toLowerCase()] !== String(value)) {
+                errors.push(`Metadata ${name} does not match`);
+            }
+        });
+
+        if (errors.length > 0 && options.deleteInvalid) {
+            await this.deleteObject(params);
+        }
+        return { valid: errors.length === 0, errors, object };
+    }
+
+    /**
+     * Read an object as a Buffer (as: 'buffer', the default), 'string', parsed 'json' or a Node 'stream'.
+     * range takes { start, end } (end inclusive and optional) or { last: bytes } for a Range request.
+     */
+    async download(params, options = {}) {
+        const { as = 'buffer', range, encoding = 'utf-8' } = options;
+        const command = new GetObjectCommand(range ? { ...params, Range: rangeHeader(range) } : params);
+
+        let data;
+        try {
+            data = await this.client.send(command);
+        } catch (error) {
+            this.handleError(error, 'download');
+        }
+
+        switch (as) {
+            case 'stream':
+                return data.Body;
+            case 'string':
+                return data.Body.transformToString(encoding);
+            case 'json':
+                return JSON.parse(await data.Body.transformToString(encoding));
+            default:
+                return Buffer.from(await data.Body.transformToByteArray());
+        }
+    }
+
      async operation(action, object, data) {
         const bucketName = process.env['S3_BUCKET'];
         const key = `${process.env['ENVIRONMENT']}/${process.env['SERVICE_NAME']}/${object}.json`;
@@ -133,7 +758,7 @@ class StorageService {
                         Bucket: bucketName,
                         Key: key
                     }
-                    response = await getObject(params);
+                    response = await this.getObject(params);
                     break;
                 case 'putObject':
                     params = {
@@ -142,16 +767,25 @@ class StorageService {
                         Body: JSON.stringify(data),
                         ContentType: 'application/json',
                     }
-                    response = await putObject(params);
+                    response = await this.putObject(params);
                     break;
                 case 'deleteObject':
                     params = {
                         Bucket: bucketName,
                         Key: key
                     }
-                    response = await deleteObject(params);
+                    response = await this.deleteObject(params);
+                    break;
+                case 'getConfig':
+                    // data holds ConfigStore.get options (ttl, refresh, defaultValue, schema)
+                    response = await this.config.get(object, data);
+                    break;
+                case 'putConfig':
+                    response = await this.config.put(object, data, { ifMatch: this.config.entries.has(object) || undefined });
                     break;
                 case 'selectObjectContent':
+                    // JSON only: reads ${object}.json as one JSON document and returns the raw event stream, as it always
+                    // has. selectRows handles CSV, JSON Lines, Parquet and compressed objects and parses the rows
                     params = {
                         Bucket: bucketName,
                         Key: key,
@@ -167,8 +801,19 @@ class StorageService {
                             JSON: {}
                         }
                     }
-                    response = await selectObjectContent(params);
+                    response = await this.selectObjectContent(params);
                     break;
+                case 'selectRows': {
+                    // data is the SQL expression, or { expression, format, compression, csv } for ${object}.csv, .jsonl.gz, ...
+                    const options = typeof data === 'string' ? { expression: data } : data;
+                    params = {
+                        Bucket: bucketName,
+                        Key: key.replace(/\.json$/, SELECT_EXTENSIONS[options.format || 'json'] + (SELECT_EXTENSIONS[options.compression] || '')),
+                        Expression: options.expression
+                    }
+                    response = (await this.selectAll(params, options)).rows;
+                    break;
+                }
                 default:
                     break;
             }
@@ -183,14 +828,37 @@ class StorageService {
 const storageService = new StorageService();
 export const listBucket = (params) => storageService.listBucket(params);
 export const listFolder = (params) => storageService.listFolder(params);
+export const listObjects = (params, options) => storageService.listObjects(params, options);
+export const listObjectsPages = (params, options) => storageService.listObjectsPages(params, options);
+export const listTree = (params, options) => storageService.listTree(params, options);
 export const getObject = (params) => storageService.getObject(params);
-export const putObjectSignedUrl = (params) => storageService.putObjectSignedUrl(params);
-export const getObjectSignedUrl = (params) => storageService.getObjectSignedUrl(params);
+export const putObjectSignedUrl = (params, options) => storageService.putObjectSignedUrl(params, options);
+export const getObjectSignedUrl = (params, options) => storageService.getObjectSignedUrl(params, options);
 export const putObject = (params) => storageService.putObject(params);
 export const deleteObject = (params) => storageService.deleteObject(params);
 export const selectObjectContent = (params) => storageService.selectObjectContent(params);
+export const copyObject = (source, destination, options) => storageService.copyObject(source, destination, options);
+export const moveObject = (source, destination, options) => storageService.moveObject(source, destination, options);
+export const deleteObjects = (bucket, keys, options) => storageService.deleteObjects(bucket, keys, options);
+export const copyPrefix = (source, destination, options) => storageService.copyPrefix(source, destination, options);
+export const movePrefix = (source, destination, options) => storageService.movePrefix(source, destination, options);
+export const deletePrefix = (params, options) => storageService.deletePrefix(params, options);
+export const createPresignedPost = (params, options) => storageService.createPresignedPost(params, options);
+export const verifyUpload = (params, options) => storageService.verifyUpload(params, options);
+export const upload = (params, options) => storageService.upload(params, options);
+export const download = (params, options) => storageService.download(params, options);
+export const getConfig = (name, options) => storageService.config.get(name, options);
+export const putConfig = (name, value, options) => storageService.config.put(name, value, options);
+export const updateConfig = (name, fn, options) => storageService.config.update(name, fn, options);
+export const selectRows = (params, options) => storageService.selectRows(params, options);
+export const selectAll = (params, options) => storageService.selectAll(params, options);
 export const headObject = (params) => storageService.headObject(params);
 export const operation = (action, object, data) => storageService.operation(action, object, data);
 
+// Create an instance with its own client or client configuration (region, endpoint, credentials, ...)
+export const createStorageService = (options) => new StorageService(options);
+
+export { ConfigStore, FileSystemS3Client };
+
 // Also export as default for backward compatibility
 export default StorageService;
\ No newline at end of file
@@ -0,0 +1,88 @@
+import { AWS_CLIENT } from '@taleofddh/constants';
+import { createDatabaseService, createMemoryDatabase } from '@taleofddh/database';
+import { createStorageService } from '@taleofddh/storage';
+
+describe('AWS_CLIENT.getClientConfig', () => {
+    const region = process.env.REGION;
+
+    afterEach(() => {
+        process.env.REGION = region;
+    });
+
+    test('passes through known options and drops the rest', () => {
+        const credentials = { accessKeyId: 'test', secretAccessKey: 'test' };
+
+        expect(AWS_CLIENT.getClientConfig({
+            region: 'us-east-1',
+            endpoint: 'http://localhost:4566',
+            credentials,
+            maxAttempts: 5,
+            retryMode: 'adaptive',
+            customUserAgent: 'tests/1.0',
+            forcePathStyle: true,
+            tableName: 'ignored'
+        })).toEqual({
+            region: 'us-east-1',
+            endpoint: 'http://localhost:4566',
+            credentials,
+            maxAttempts: 5,
+            retryMode: 'adaptive',
+            customUserAgent: 'tests/1.0'
+        });
+    });
+
+    test('defaults the region from the environment and accepts client-specific options', () => {
+        process.env.REGION = 'ap-south-1';
+
+        expect(AWS_CLIENT.getClientConfig({ forcePathStyle: true }, ['forcePathStyle'])).toEqual({
+            region: 'ap-south-1',
+            forcePathStyle: true
+        });
+    });
+});
+
+describe('service factories', () => {
+    test('database services are built against their own region and endpoint', async () => {
+        const local = createDatabaseService({ region: 'us-west-2', endpoint: 'http://localhost:8000' });
+        const remote = createDatabaseService({ region: 'eu-central-1' });
+
+        expect(await local.client.config.region()).toBe('us-west-2');
+        expect((await local.client.config.endpoint()).hostname).toBe('localhost');
+        expect(await remote.client.config.region()).toBe('eu-central-1');
+    });
+
+    test('an injected document client receives every call', async () => {
+        const sent = [];
+        const database = createDatabaseService({
+            documentClient: {
+                send: async (command) => {
+                    sent.push(command.input);
+                    return { Item: { id: 'a1' } };
+                }
+            }
+        });
+
+        expect(await database.get({ TableName: 'accounts', Key: { id: 'a1' } })).toEqual({ id: 'a1' });
+        expect(sent).toEqual([{ TableName: 'accounts', Key: { id: 'a1' } }]);
+    });
+
+    test('each factory call gets its own state', async () => {
+        const first = createMemoryDatabase([{ TableName: 'items', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }]);
+        const second = createMemoryDatabase([{ TableName: 'items', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }]);
+
+        await first.put({ TableName: 'items', Item: { id: 'x' } });
+
+        expect(await second.get({ TableName: 'items', Key: { id: 'x' } })).toBeUndefined();
+    });
+
+    test('storage services accept S3 options or an injected client', async () => {
+        const storage = createStorageService({ region: 'us-east-1', endpoint: 'http://localhost:4566', forcePathStyle: true });
+        expect(await storage.client.config.region()).toBe('us-east-1');
+        expect(storage.client.config.forcePathStyle).toBe(true);
+
+        const client = { send: async () => ({ ContentLength: 3, ETag: '"abc"' }) };
+        const injected = createStorageService({ client });
+        expect(injected.client).toBe(client);
+        expect(await injected.headObject({ Bucket: 'b', Key: 'k' })).toMatchObject({ ContentLength: 3 });
+    });
+});
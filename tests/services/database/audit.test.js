@@ -0,0 +1,66 @@
+import { REQUEST_ACTIONS } from '@taleofddh/constants';
+import { createMemoryDatabase, AuditTrail, diffItems } from '@taleofddh/database';
+
+const auditDatabase = () => createMemoryDatabase([
+    { TableName: 'audit', KeySchema: [{ AttributeName: 'entity', KeyType: 'HASH' }, { AttributeName: 'timestamp', KeyType: 'RANGE' }] },
+    { TableName: 'app.request', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }
+]);
+
+describe('AuditTrail', () => {
+    test('keeps entries written in the same millisecond in write order', async () => {
+        const database = auditDatabase();
+        const trail = new AuditTrail(database, { tableName: 'audit' });
+        const RealDate = global.Date;
+        global.Date = class extends RealDate {
+            constructor(...args) {
+                super(...(args.length > 0 ? args : ['2026-01-01T00:00:00.000Z']));
+            }
+        };
+
+        try {
+            for (let step = 0; step < 25; step++) {
+                await trail.record({ entityType: 'request', entityId: 'r1', action: `step-${step}` });
+            }
+        } finally {
+            global.Date = RealDate;
+        }
+
+        const { items } = await trail.history('request', 'r1');
+        expect(new Set(items.map((item) => item.createdAt)).size).toBe(1);
+        expect(items.map((item) => item.action)).toEqual(Array.from({ length: 25 }, (_, step) => `step-${step}`));
+    });
+
+    test('wrap records create, update and delete in order with diffs', async () => {
+        const database = auditDatabase();
+        const trail = new AuditTrail(database, { tableName: 'audit' });
+        const audited = trail.wrap(database, { actor: 'ann@example.com' });
+
+        await audited.put({ TableName: 'app.request', Item: { id: 'r1', status: 'NEW' } });
+        await audited.update({
+            TableName: 'app.request',
+            Key: { id: 'r1' },
+            UpdateExpression: 'SET #status = :status',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':status': 'APPROVED' }
+        }, { correlationId: 'c-1' });
+        await audited.delete({ TableName: 'app.request', Key: { id: 'r1' } });
+
+        const { items } = await trail.history('request', 'r1');
+        expect(items.map(({ action, actor, changes }) => ({ action, actor, changes }))).toEqual([
+            { action: REQUEST_ACTIONS.CREATE, actor: 'ann@example.com', changes: { id: { to: 'r1' }, status: { to: 'NEW' } } },
+            { action: REQUEST_ACTIONS.UPDATE, actor: 'ann@example.com', changes: { status: { from: 'NEW', to: 'APPROVED' } } },
+            { action: REQUEST_ACTIONS.DELETE, actor: 'ann@example.com', changes: { id: { from: 'r1' }, status: { from: 'APPROVED' } } }
+        ]);
+        expect(items[1].correlationId).toBe('c-1');
+
+        const { items: newest } = await trail.history('request', 'r1', { order: 'desc', limit: 1 });
+        expect(newest.map((item) => item.action)).toEqual([REQUEST_ACTIONS.DELETE]);
+    });
+
+    test('diffItems ignores unchanged values, including sets and nested objects', () => {
+        expect(diffItems(
+            { tags: new Set(['a']), address: { city: 'Paris' }, plan: 'pro' },
+            { tags: new Set(['a']), address: { city: 'Paris' }, plan: 'free' }
+        )).toEqual({ plan: { from: 'pro', to: 'free' } });
+    });
+});
@@ -0,0 +1,64 @@
+import { BatchGetCommand } from '@aws-sdk/lib-dynamodb';
+import { createDatabaseService, MemoryDocumentClient } from '@taleofddh/database';
+
+const table = { TableName: 'products', KeySchema: [{ AttributeName: 'sku', KeyType: 'HASH' }] };
+
+const seededMemory = async (count) => {
+    const memory = new MemoryDocumentClient({ tables: [table] });
+    const database = createDatabaseService({ documentClient: memory });
+    await database.batchWriteItems({ products: Array.from({ length: count }, (_, index) => ({ PutRequest: { Item: { sku: `s${index}`, price: index } } })) });
+    return memory;
+};
+
+// Answers the first key of every BatchGetCommand with UnprocessedKeys for the first `throttled` calls
+const throttlingClient = (memory, throttled) => {
+    const batches = [];
+    return {
+        batches,
+        send: async (command) => {
+            if (!(command instanceof BatchGetCommand)) {
+                return memory.send(command);
+            }
+            const { Keys, ...tableParams } = command.input.RequestItems.products;
+            batches.push(Keys.length);
+            if (batches.length > throttled) {
+                return memory.send(command);
+            }
+            const [first, ...rest] = Keys;
+            const data = rest.length > 0 ? await memory.send(new BatchGetCommand({ RequestItems: { products: { ...tableParams, Keys: rest } } })) : { Responses: { products: [] } };
+            return { ...data, UnprocessedKeys: { products: { ...tableParams, Keys: [first] } } };
+        }
+    };
+};
+
+describe('batchGetItems', () => {
+    test('splits into chunks of 100 keys and returns items in key order', async () => {
+        const memory = await seededMemory(250);
+        const client = throttlingClient(memory, 0);
+        const database = createDatabaseService({ documentClient: client });
+        const keys = Array.from({ length: 250 }, (_, index) => ({ sku: `s${249 - index}` }));
+
+        const { responses, unprocessedKeys } = await database.batchGetItems({ products: { Keys: [...keys, { sku: 'missing' }, keys[0]] } }, { preserveOrder: true });
+
+        expect(client.batches.sort((a, b) => a - b)).toEqual([51, 100, 100]);
+        expect(responses.products.slice(0, 250).map((item) => item.sku)).toEqual(keys.map((key) => key.sku));
+        // Missing keys hold their place with null; the duplicate key is fetched once but answered twice
+        expect(responses.products.slice(250)).toEqual([null, { sku: 's249', price: 249 }]);
+        expect(unprocessedKeys).toEqual({});
+    });
+
+    test('retries UnprocessedKeys and reports those that never come back', async () => {
+        const memory = await seededMemory(3);
+        const retried = throttlingClient(memory, 1);
+        const retrying = createDatabaseService({ documentClient: retried });
+
+        const { responses } = await retrying.batchGetItems({ products: { Keys: [{ sku: 's0' }, { sku: 's1' }, { sku: 's2' }] } }, { baseDelay: 1 });
+        expect(retried.batches).toEqual([3, 1]);
+        expect(responses.products.map((item) => item.sku).sort()).toEqual(['s0', 's1', 's2']);
+
+        const throttled = createDatabaseService({ documentClient: throttlingClient(memory, Infinity) });
+        const result = await throttled.batchGetItems({ products: { Keys: [{ sku: 's0' }, { sku: 's1' }] } }, { baseDelay: 1, maxRetries: 2 });
+        expect(result.responses.products).toEqual([{ sku: 's1', price: 1 }]);
+        expect(result.unprocessedKeys).toEqual({ products: [{ sku: 's0' }] });
+    });
+});
@@ -0,0 +1,79 @@
+import { BatchWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { createDatabaseService, MemoryDocumentClient } from '@taleofddh/database';
+
+const table = { TableName: 'items', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] };
+
+// Wraps a MemoryDocumentClient so BatchWriteCommands report some requests back as UnprocessedItems
+const throttlingClient = (memory, unprocessed) => {
+    const batches = [];
+    return {
+        batches,
+        send: async (command) => {
+            if (!(command instanceof BatchWriteCommand)) {
+                return memory.send(command);
+            }
+            batches.push(command.input.RequestItems);
+            const requests = command.input.RequestItems.items;
+            const { kept, returned } = unprocessed(requests, batches.length);
+            if (kept.length > 0) {
+                await memory.send(new BatchWriteCommand({ RequestItems: { items: kept } }));
+            }
+            return returned.length > 0 ? { UnprocessedItems: { items: returned } } : { UnprocessedItems: {} };
+        }
+    };
+};
+
+const puts = (count) => Array.from({ length: count }, (_, index) => ({
+    PutRequest: { Item: { id: `k${index}`, position: index, tags: { first: 'a', second: 'b' } } }
+}));
+
+describe('batchWriteItems', () => {
+    test('resends UnprocessedItems as returned, even with attributes reordered', async () => {
+        const memory = new MemoryDocumentClient({ tables: [table] });
+        const client = throttlingClient(memory, (requests, call) => {
+            if (call > 1) {
+                return { kept: requests, returned: [] };
+            }
+            // DynamoDB does not promise to keep the attribute order of the request
+            const [first, ...rest] = requests;
+            const reordered = Object.fromEntries(Object.entries(first.PutRequest.Item).reverse());
+            return { kept: rest, returned: [{ PutRequest: { Item: reordered } }] };
+        });
+        const database = createDatabaseService({ documentClient: client });
+
+        const summary = await database.batchWriteItems({ items: puts(3) }, { baseDelay: 1 });
+
+        expect(client.batches).toHaveLength(2);
+        expect(client.batches[1].items).toHaveLength(1);
+        expect(summary.failed).toEqual([]);
+        expect(summary.written.map((entry) => entry.key.id).sort()).toEqual(['k0', 'k1', 'k2']);
+        expect(memory.dump('items')).toHaveLength(3);
+    });
+
+    test('reports only the requests still unprocessed after the retries as failed', async () => {
+        const memory = new MemoryDocumentClient({ tables: [table] });
+        const client = throttlingClient(memory, (requests) => ({
+            kept: requests.filter((request) => request.PutRequest.Item.id !== 'k1'),
+            returned: requests.filter((request) => request.PutRequest.Item.id === 'k1')
+        }));
+        const database = createDatabaseService({ documentClient: client });
+
+        const summary = await database.batchWriteItems({ items: puts(3) }, { baseDelay: 1, maxRetries: 2, keyAttributes: ['id'] });
+
+        expect(client.batches).toHaveLength(3);
+        expect(summary.written.map((entry) => entry.key)).toEqual(expect.arrayContaining([{ id: 'k0' }, { id: 'k2' }]));
+        expect(summary.failed).toHaveLength(1);
+        expect(summary.failed[0]).toMatchObject({ table: 'items', key: { id: 'k1' } });
+        expect(summary.failed[0].error.message).toBe('Unprocessed after 2 retries');
+    });
+
+    test('writes every chunk of a large batch', async () => {
+        const memory = new MemoryDocumentClient({ tables: [table] });
+        const database = createDatabaseService({ documentClient: memory });
+
+        const summary = await database.batchWriteItems({ items: puts(60) });
+
+        expect(summary.written).toHaveLength(60);
+        expect(memory.dump('items')).toHaveLength(60);
+    });
+});
@@ -0,0 +1,111 @@
+import { createMemoryDatabase } from '@taleofddh/database';
+
+const recordingLogger = () => {
+    const metrics = [];
+    return { metrics, logMetric: (metric, value, unit, metadata) => metrics.push({ metric, value, metadata }) };
+};
+
+const typesDatabase = async (cache = {}) => {
+    const database = createMemoryDatabase([
+        { TableName: 'type', KeySchema: [{ AttributeName: 'code', KeyType: 'HASH' }] }
+    ], { cache: { tables: { type: 60 }, ...cache } });
+    await database.put({ TableName: 'type', Item: { code: 'A', label: 'Alpha' } });
+    await database.put({ TableName: 'type', Item: { code: 'B', label: 'Beta' } });
+    // Count what reaches the client, i.e. what the cache did not answer
+    const send = database.docClient.send.bind(database.docClient);
+    database.reads = 0;
+    database.docClient.send = (command) => {
+        database.reads++;
+        return send(command);
+    };
+    return database;
+};
+
+const getType = (database, code, options) => database.get({ TableName: 'type', Key: { code } }, options);
+
+describe('DatabaseCache', () => {
+    test('serves repeated reads from the cache and returns copies', async () => {
+        const database = await typesDatabase();
+
+        const first = await getType(database, 'A');
+        first.label = 'changed';
+        const second = await getType(database, 'A');
+
+        expect(second).toEqual({ code: 'A', label: 'Alpha' });
+        expect(database.reads).toBe(1);
+        expect(database.cache.stats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    test('bypasses the cache for consistent reads and cache: false', async () => {
+        const database = await typesDatabase();
+
+        await getType(database, 'A');
+        await database.get({ TableName: 'type', Key: { code: 'A' }, ConsistentRead: true });
+        await getType(database, 'A', { cache: false });
+
+        expect(database.reads).toBe(3);
+    });
+
+    test('writes through the service drop the entries they made stale', async () => {
+        const database = await typesDatabase();
+        const query = { TableName: 'type', KeyConditionExpression: 'code = :code', ExpressionAttributeValues: { ':code': 'B' } };
+
+        await getType(database, 'A');
+        await getType(database, 'B');
+        await database.queryAll(query);
+        await database.put({ TableName: 'type', Item: { code: 'A', label: 'Alpha 2' } });
+        database.reads = 0;
+
+        expect(await getType(database, 'A')).toEqual({ code: 'A', label: 'Alpha 2' });
+        await getType(database, 'B');
+        await database.queryAll(query);
+        expect(database.reads).toBe(2);
+    });
+
+    test('expires entries after their TTL and evicts the least recently used', async () => {
+        const database = await typesDatabase({ maxEntries: 1 });
+        const now = Date.now;
+
+        try {
+            await getType(database, 'A');
+            Date.now = () => now() + 61 * 1000;
+            await getType(database, 'A');
+            await getType(database, 'B');
+            await getType(database, 'A');
+        } finally {
+            Date.now = now;
+        }
+
+        expect(database.reads).toBe(4);
+        expect(database.cache.stats()).toMatchObject({ hits: 0, misses: 4, evictions: 2, size: 1 });
+    });
+
+    test('reports hits and misses on demand rather than per lookup', async () => {
+        const logger = recordingLogger();
+        const database = await typesDatabase({ logger });
+
+        await getType(database, 'A');
+        await getType(database, 'A');
+        await getType(database, 'A');
+        expect(logger.metrics).toEqual([]);
+
+        expect(database.cache.reportMetrics({ functionName: 'types' })).toEqual({ hits: 2, misses: 1, evictions: 0 });
+        expect(logger.metrics).toEqual([
+            { metric: 'databaseCache.hit', value: 2, metadata: { evictions: 0, size: 1, functionName: 'types' } },
+            { metric: 'databaseCache.miss', value: 1, metadata: { evictions: 0, size: 1, functionName: 'types' } }
+        ]);
+
+        await getType(database, 'A');
+        expect(database.cache.reportMetrics()).toEqual({ hits: 1, misses: 0, evictions: 0 });
+    });
+
+    test('logs every lookup when lookupMetrics is on', async () => {
+        const logger = recordingLogger();
+        const database = await typesDatabase({ logger, lookupMetrics: true });
+
+        await getType(database, 'A');
+        await getType(database, 'A');
+
+        expect(logger.metrics.map(({ metric }) => metric)).toEqual(['databaseCache.miss', 'databaseCache.hit']);
+    });
+});
@@ -0,0 +1,74 @@
+import {
+    createMemoryDatabase, expression, increment, append, addToSet, remove,
+    equals, greaterThan, beginsWith, attributeExists, isIn, and, or, not, size
+} from '@taleofddh/database';
+
+const profilesDatabase = async () => {
+    const database = createMemoryDatabase([{
+        TableName: 'profiles',
+        KeySchema: [{ AttributeName: 'tenant', KeyType: 'HASH' }, { AttributeName: 'id', KeyType: 'RANGE' }]
+    }]);
+    await database.put({ TableName: 'profiles', Item: { tenant: 't1', id: 'u1', name: 'Ann', plan: 'pro', logins: 3, address: { city: 'Paris', zip: '75001' }, tags: ['a'] } });
+    await database.put({ TableName: 'profiles', Item: { tenant: 't1', id: 'u2', name: 'Bob', plan: 'free', logins: 0 } });
+    await database.put({ TableName: 'profiles', Item: { tenant: 't1', id: 'x1', name: 'Service', plan: 'pro', logins: 90 } });
+    return database;
+};
+
+describe('expression builder', () => {
+    test('binds every name and value through placeholders', () => {
+        const built = expression()
+            .set('address.lines[0]', 'Main St')
+            .increment('logins')
+            .remove('session')
+            .condition(and(attributeExists('id'), equals('status', 'ACTIVE')))
+            .build();
+
+        expect(built).toEqual({
+            UpdateExpression: 'SET #n0.#n1[0] = :v0, #n2 = if_not_exists(#n2, :v1) + :v2 REMOVE #n3',
+            ConditionExpression: '(attribute_exists(#n4)) AND (#n5 = :v3)',
+            ExpressionAttributeNames: { '#n0': 'address', '#n1': 'lines', '#n2': 'logins', '#n3': 'session', '#n4': 'id', '#n5': 'status' },
+            ExpressionAttributeValues: { ':v0': 'Main St', ':v1': 0, ':v2': 1, ':v3': 'ACTIVE' }
+        });
+    });
+
+    test('turns a partial object into an update the database applies', async () => {
+        const database = await profilesDatabase();
+
+        await database.update({
+            TableName: 'profiles',
+            Key: { tenant: 't1', id: 'u1' },
+            expression: expression()
+                .update({ logins: increment(2), tags: append(['b']), roles: addToSet(new Set(['admin'])), plan: remove(), address: { city: 'Lyon' } }, { flatten: true })
+                .condition(equals('plan', 'pro'))
+        });
+
+        expect(await database.get({ TableName: 'profiles', Key: { tenant: 't1', id: 'u1' } })).toEqual({
+            tenant: 't1', id: 'u1', name: 'Ann', logins: 5, tags: ['a', 'b'], roles: new Set(['admin']), address: { city: 'Lyon', zip: '75001' }
+        });
+    });
+
+    test('builds key conditions, filters and projections for queries', async () => {
+        const database = await profilesDatabase();
+
+        const { items } = await database.queryAll({
+            TableName: 'profiles',
+            expression: expression()
+                .keyCondition(and(equals('tenant', 't1'), beginsWith('id', 'u')))
+                .filter(or(greaterThan('logins', 1), not(isIn('plan', ['free', 'trial']))))
+                .filter(greaterThan(size('name'), 2))
+                .project('id', 'address.city')
+        });
+
+        expect(items).toEqual([{ id: 'u1', address: { city: 'Paris' } }]);
+    });
+
+    test('a failed builder condition rejects the write', async () => {
+        const database = await profilesDatabase();
+
+        await expect(database.update({
+            TableName: 'profiles',
+            Key: { tenant: 't1', id: 'u2' },
+            expression: expression().set('plan', 'pro').condition(equals('plan', 'pro'))
+        })).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+});
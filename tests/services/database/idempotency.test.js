@@ -0,0 +1,93 @@
+import { PutCommand } from '@aws-sdk/lib-dynamodb';
+import { createMemoryDatabase, IdempotencyStore } from '@taleofddh/database';
+import { withMiddleware, jsonBodyParser } from '@taleofddh/middleware';
+
+const idempotencyDatabase = () => createMemoryDatabase([{ TableName: 'idempotency', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }]);
+
+const conditionFailure = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+describe('IdempotencyStore', () => {
+    test('runs once per key and replays the stored result', async () => {
+        const database = idempotencyDatabase();
+        const store = new IdempotencyStore(database, { tableName: 'idempotency', eventKey: 'body.orderId' });
+        let runs = 0;
+        const handler = store.wrap(async () => ({ statusCode: 201, run: ++runs }));
+
+        const first = await handler({ body: '{"orderId":7}' });
+        const replay = await handler({ body: '{"orderId":7}' });
+        const other = await handler({ body: '{"orderId":8}' });
+
+        expect(first).toEqual({ statusCode: 201, run: 1 });
+        expect(replay).toEqual(first);
+        expect(other.run).toBe(2);
+        expect(database.docClient.dump('idempotency').every((record) => record.status === 'COMPLETED')).toBe(true);
+    });
+
+    test('a failed run releases the key so a retry runs again', async () => {
+        const store = new IdempotencyStore(idempotencyDatabase(), { tableName: 'idempotency' });
+
+        await expect(store.execute({ id: 1 }, null, async () => {
+            throw new Error('downstream unavailable');
+        })).rejects.toThrow('downstream unavailable');
+
+        expect(await store.execute({ id: 1 }, null, async () => 'second attempt')).toBe('second attempt');
+    });
+
+    test('a plain-text body is a key of its own rather than a JSON error', async () => {
+        const store = new IdempotencyStore(idempotencyDatabase(), { tableName: 'idempotency', eventKey: 'body' });
+
+        expect(await store.execute({ body: 'plain text' }, null, async () => 'handled')).toBe('handled');
+        expect(await store.execute({ body: 'plain text' }, null, async () => 'again')).toBe('handled');
+        // A dot path into a plain-text body finds nothing, so the handler runs without idempotency
+        const nested = new IdempotencyStore(idempotencyDatabase(), { tableName: 'idempotency', eventKey: 'body.orderId' });
+        expect(nested.keyFor({ body: 'plain text' })).toBeNull();
+    });
+
+    test('retries the claim when the blocking record disappears before it is read', async () => {
+        const database = idempotencyDatabase();
+        const send = database.docClient.send.bind(database.docClient);
+        let failures = 1;
+        database.docClient.send = async (command) => {
+            if (command instanceof PutCommand && failures-- > 0) {
+                throw conditionFailure();
+            }
+            return send(command);
+        };
+        const store = new IdempotencyStore(database, { tableName: 'idempotency' });
+
+        expect(await store.execute({ id: 2 }, null, async () => 'ran')).toBe('ran');
+
+        failures = Infinity;
+        await expect(store.execute({ id: 3 }, null, async () => 'never')).rejects.toMatchObject({
+            name: 'ConflictError',
+            message: 'Idempotency key could not be claimed'
+        });
+    });
+
+    test('rejects a request whose key is still in progress', async () => {
+        const store = new IdempotencyStore(idempotencyDatabase(), { tableName: 'idempotency' });
+        let release;
+        const running = store.execute({ id: 4 }, null, () => new Promise((resolve) => {
+            release = resolve;
+        }));
+        await new Promise((resolve) => setImmediate(resolve));
+
+        await expect(store.execute({ id: 4 }, null, async () => 'duplicate')).rejects.toMatchObject({ name: 'ConflictError' });
+
+        release('first');
+        expect(await running).toBe('first');
+    });
+
+    test('works as middleware after body parsing', async () => {
+        const store = new IdempotencyStore(idempotencyDatabase(), { tableName: 'idempotency', eventKey: 'body.orderId' });
+        let runs = 0;
+        const handler = withMiddleware(async () => ({ statusCode: 200, body: JSON.stringify({ run: ++runs }) }), jsonBodyParser, store.middleware());
+        const event = { httpMethod: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"orderId":9}' };
+
+        const first = await handler(event, {});
+        const replay = await handler(event, {});
+
+        expect(runs).toBe(1);
+        expect(replay).toEqual(first);
+    });
+});
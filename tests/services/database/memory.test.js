@@ -0,0 +1,124 @@
+import { GetCommand, PutCommand, UpdateCommand, QueryCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { MemoryDocumentClient } from '@taleofddh/database';
+
+const ordersTable = {
+    TableName: 'orders',
+    KeySchema: [{ AttributeName: 'customerId', KeyType: 'HASH' }, { AttributeName: 'orderId', KeyType: 'RANGE' }],
+    GlobalSecondaryIndexes: [{ IndexName: 'byStatus', KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }] }]
+};
+
+const seededClient = async (options = {}) => {
+    const client = new MemoryDocumentClient({ tables: [ordersTable], ...options });
+    const orders = [
+        { customerId: 'c1', orderId: 'o1', total: 10, status: 'OPEN' },
+        { customerId: 'c1', orderId: 'o2', total: 25, status: 'SHIPPED' },
+        { customerId: 'c1', orderId: 'o3', total: 40, status: 'OPEN' },
+        { customerId: 'c2', orderId: 'o1', total: 5 }
+    ];
+    for (const Item of orders) {
+        await client.send(new PutCommand({ TableName: 'orders', Item }));
+    }
+    return client;
+};
+
+describe('MemoryDocumentClient', () => {
+    test('queries by key condition with filters, ordering and projections', async () => {
+        const client = await seededClient();
+
+        const { Items, Count, ScannedCount } = await client.send(new QueryCommand({
+            TableName: 'orders',
+            KeyConditionExpression: 'customerId = :customer AND orderId BETWEEN :from AND :to',
+            FilterExpression: '#total > :min',
+            ProjectionExpression: 'orderId, #total',
+            ExpressionAttributeNames: { '#total': 'total' },
+            ExpressionAttributeValues: { ':customer': 'c1', ':from': 'o1', ':to': 'o3', ':min': 15 },
+            ScanIndexForward: false
+        }));
+
+        expect(Items).toEqual([{ orderId: 'o3', total: 40 }, { orderId: 'o2', total: 25 }]);
+        expect([Count, ScannedCount]).toEqual([2, 3]);
+    });
+
+    test('pages with Limit and ExclusiveStartKey and leaves items without index keys out of a sparse index', async () => {
+        const client = await seededClient();
+
+        const first = await client.send(new ScanCommand({ TableName: 'orders', Limit: 3 }));
+        const second = await client.send(new ScanCommand({ TableName: 'orders', ExclusiveStartKey: first.LastEvaluatedKey }));
+        const open = await client.send(new QueryCommand({
+            TableName: 'orders',
+            IndexName: 'byStatus',
+            KeyConditionExpression: '#status = :open',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':open': 'OPEN' }
+        }));
+        const indexed = await client.send(new ScanCommand({ TableName: 'orders', IndexName: 'byStatus' }));
+
+        expect(first.Items).toHaveLength(3);
+        expect(second.Items).toHaveLength(1);
+        expect(second.LastEvaluatedKey).toBeUndefined();
+        expect(open.Items.map((item) => item.orderId).sort()).toEqual(['o1', 'o3']);
+        expect(indexed.Count).toBe(3);
+    });
+
+    test('applies SET, REMOVE and ADD update actions', async () => {
+        const client = await seededClient();
+
+        const { Attributes } = await client.send(new UpdateCommand({
+            TableName: 'orders',
+            Key: { customerId: 'c1', orderId: 'o1' },
+            UpdateExpression: 'SET #notes = list_append(if_not_exists(#notes, :empty), :note), #total = #total + :extra REMOVE #status ADD #tags :tags',
+            ExpressionAttributeNames: { '#notes': 'notes', '#total': 'total', '#status': 'status', '#tags': 'tags' },
+            ExpressionAttributeValues: { ':empty': [], ':note': ['gift'], ':extra': 5, ':tags': new Set(['priority']) },
+            ReturnValues: 'ALL_NEW'
+        }));
+
+        expect(Attributes).toEqual({ customerId: 'c1', orderId: 'o1', total: 15, notes: ['gift'], tags: new Set(['priority']) });
+    });
+
+    test('raises DynamoDB errors for failed conditions and invalid requests', async () => {
+        const client = await seededClient();
+
+        await expect(client.send(new PutCommand({
+            TableName: 'orders',
+            Item: { customerId: 'c1', orderId: 'o1' },
+            ConditionExpression: 'attribute_not_exists(customerId)',
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+        }))).rejects.toMatchObject({ name: 'ConditionalCheckFailedException', Item: expect.objectContaining({ total: { N: '10' } }) });
+
+        await expect(client.send(new GetCommand({
+            TableName: 'orders',
+            Key: { customerId: 'c1', orderId: 'o1' },
+            ExpressionAttributeNames: { '#unused': 'unused' }
+        }))).rejects.toMatchObject({ name: 'ValidationException' });
+
+        await expect(client.send(new GetCommand({ TableName: 'orders', Key: { customerId: 'c1' } })))
+            .rejects.toMatchObject({ name: 'ValidationException' });
+        await expect(client.send(new GetCommand({ TableName: 'missing', Key: { id: 'x' } })))
+            .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+
+    test('recognises commands by class, not by class name', async () => {
+        const client = await seededClient();
+        // What a minifying bundler leaves of the SDK's class names
+        class a extends GetCommand {}
+
+        const { Item } = await client.send(new a({ TableName: 'orders', Key: { customerId: 'c2', orderId: 'o1' } }));
+
+        expect(Item).toEqual({ customerId: 'c2', orderId: 'o1', total: 5 });
+        await expect(client.send({ constructor: { name: 'GetCommand' }, input: {} })).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('returns copies that are Sets, arrays and buffers of this realm', async () => {
+        const client = await seededClient();
+        const Item = { customerId: 'c3', orderId: 'o1', tags: new Set(['gift']), lines: [{ sku: 'a' }], receipt: new Uint8Array([1, 2]) };
+        await client.send(new PutCommand({ TableName: 'orders', Item }));
+        Item.tags.add('changed');
+
+        const { Item: stored } = await client.send(new GetCommand({ TableName: 'orders', Key: { customerId: 'c3', orderId: 'o1' } }));
+
+        expect(stored.tags).toBeInstanceOf(Set);
+        expect([...stored.tags]).toEqual(['gift']);
+        expect(Array.isArray(stored.lines) && stored.lines[0].constructor === Object).toBe(true);
+        expect(stored.receipt).toBeInstanceOf(Uint8Array);
+    });
+});
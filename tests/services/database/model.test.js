@@ -0,0 +1,60 @@
+import { NotFoundError, ConflictError, ValidationError } from '@taleofddh/error';
+import { createMemoryDatabase, defineModel, increment } from '@taleofddh/database';
+
+const requests = (database) => defineModel({
+    name: 'request',
+    tableName: 'requests',
+    key: { partitionKey: 'id' },
+    defaults: { status: 'NEW', views: 0 },
+    validators: { email: (value) => ({ isValid: /@/.test(value), value: String(value).toLowerCase(), errors: /@/.test(value) ? [] : ['email: invalid'] }) },
+    timestamps: true
+}, database);
+
+const requestsDatabase = () => createMemoryDatabase([{ TableName: 'requests', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }]);
+
+const throttled = () => {
+    const error = new Error('Rate of requests exceeds the allowed throughput');
+    error.name = 'ProvisionedThroughputExceededException';
+    error.$metadata = { httpStatusCode: 400 };
+    return error;
+};
+
+describe('Repository', () => {
+    test('create applies defaults, validation and timestamps and rejects duplicates', async () => {
+        const model = requests(requestsDatabase());
+
+        const created = await model.create({ id: 'r1', email: 'Ann@Example.com' });
+
+        expect(created).toMatchObject({ id: 'r1', email: 'ann@example.com', status: 'NEW', views: 0 });
+        expect(created.createdAt).toBe(created.updatedAt);
+        await expect(model.create({ id: 'r1', email: 'bob@example.com' })).rejects.toBeInstanceOf(ConflictError);
+        await expect(model.create({ id: 'r2', email: 'nobody' })).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    test('patch, findById and remove report a missing item as NotFoundError', async () => {
+        const model = requests(requestsDatabase());
+        await model.create({ id: 'r1', email: 'ann@example.com' });
+
+        expect(await model.patch('r1', { views: increment(), status: 'OPEN' })).toMatchObject({ views: 1, status: 'OPEN' });
+        await expect(model.patch('r1', { id: 'r9' })).rejects.toBeInstanceOf(ValidationError);
+        expect(await model.remove('r1')).toMatchObject({ id: 'r1' });
+
+        await expect(model.findById('r1')).rejects.toBeInstanceOf(NotFoundError);
+        expect(await model.findById('r1', { required: false })).toBeNull();
+        await expect(model.patch('r1', { status: 'CLOSED' })).rejects.toBeInstanceOf(NotFoundError);
+        await expect(model.remove('r1')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('findById rethrows read failures instead of reporting them as not found', async () => {
+        const database = requestsDatabase();
+        const model = requests(database);
+        await model.create({ id: 'r1', email: 'ann@example.com' });
+        database.docClient.send = async () => {
+            throw throttled();
+        };
+
+        await expect(model.findById('r1')).rejects.toMatchObject({ name: 'ProvisionedThroughputExceededException' });
+        await expect(model.findById('r1', { required: false })).rejects.toMatchObject({ name: 'ProvisionedThroughputExceededException' });
+        expect(await database.get({ TableName: 'requests', Key: { id: 'r1' } })).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+import { createMemoryDatabase } from '@taleofddh/database';
+
+const eventsDatabase = async (count) => {
+    const database = createMemoryDatabase([{
+        TableName: 'events',
+        KeySchema: [{ AttributeName: 'stream', KeyType: 'HASH' }, { AttributeName: 'sequence', KeyType: 'RANGE' }]
+    }], { pageSize: 3 });
+    for (let sequence = 1; sequence <= count; sequence++) {
+        await database.put({ TableName: 'events', Item: { stream: sequence % 2 ? 'odd' : 'even', sequence } });
+    }
+    return database;
+};
+
+const oddEvents = {
+    TableName: 'events',
+    KeyConditionExpression: '#stream = :stream',
+    ExpressionAttributeNames: { '#stream': 'stream' },
+    ExpressionAttributeValues: { ':stream': 'odd' }
+};
+
+describe('auto-paginating reads', () => {
+    test('queryAll follows LastEvaluatedKey across pages', async () => {
+        const database = await eventsDatabase(20);
+
+        const { items, lastEvaluatedKey } = await database.queryAll(oddEvents);
+
+        expect(items.map((item) => item.sequence)).toEqual([1, 3, 5, 7, 9, 11, 13, 15, 17, 19]);
+        expect(lastEvaluatedKey).toBeUndefined();
+    });
+
+    test('a limit stops at an exact resume point', async () => {
+        const database = await eventsDatabase(20);
+
+        const first = await database.queryAll(oddEvents, { limit: 4 });
+        const rest = await database.queryAll(oddEvents, { startKey: first.lastEvaluatedKey });
+
+        expect(first.items.map((item) => item.sequence)).toEqual([1, 3, 5, 7]);
+        expect(first.lastEvaluatedKey).toEqual({ stream: 'odd', sequence: 7 });
+        expect(rest.items.map((item) => item.sequence)).toEqual([9, 11, 13, 15, 17, 19]);
+    });
+
+    test('scanPages yields each page with its counts', async () => {
+        const database = await eventsDatabase(7);
+
+        const pages = [];
+        for await (const page of database.scanPages({ TableName: 'events', FilterExpression: '#stream = :stream', ExpressionAttributeNames: { '#stream': 'stream' }, ExpressionAttributeValues: { ':stream': 'odd' } })) {
+            pages.push([page.count, page.scannedCount]);
+        }
+        const { items } = await database.scanAll({ TableName: 'events' });
+
+        expect(pages.reduce((total, [, scanned]) => total + scanned, 0)).toBe(7);
+        expect(pages.reduce((total, [count]) => total + count, 0)).toBe(4);
+        expect(items).toHaveLength(7);
+    });
+});
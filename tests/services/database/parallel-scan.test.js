@@ -0,0 +1,110 @@
+import { ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { createDatabaseService, createMemoryDatabase } from '@taleofddh/database';
+
+const logger = { logMetric: () => {} };
+
+const failure = (name) => Object.assign(new Error(name), { name });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const itemsDatabase = async (count) => {
+    const database = createMemoryDatabase([{ TableName: 'items', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }], { pageSize: 5 });
+    for (let index = 0; index < count; index++) {
+        await database.put({ TableName: 'items', Item: { id: `item-${index}` } });
+    }
+    return database;
+};
+
+describe('parallelScan', () => {
+    test('visits every item exactly once across segments', async () => {
+        const database = await itemsDatabase(40);
+        const seen = [];
+
+        const summary = await database.parallelScan({ TableName: 'items' }, {
+            segments: 4,
+            concurrency: 2,
+            logger,
+            onItems: (items) => {
+                seen.push(...items.map((item) => item.id));
+            }
+        });
+
+        expect(seen).toHaveLength(40);
+        expect(new Set(seen).size).toBe(40);
+        expect(summary).toMatchObject({ items: 40, segmentsCompleted: 4, stopped: false });
+    });
+
+    test('returning false from onItems stops every segment', async () => {
+        const database = await itemsDatabase(40);
+        let pages = 0;
+
+        const summary = await database.parallelScan({ TableName: 'items' }, {
+            segments: 4,
+            logger,
+            onItems: () => ++pages < 2
+        });
+
+        expect(summary.stopped).toBe(true);
+        expect(summary.pages).toBeLessThan(8);
+    });
+
+    test('a failing segment stops the others before their next request or retry', async () => {
+        const calls = [];
+        const database = createDatabaseService({
+            documentClient: {
+                send: async (command) => {
+                    expect(command).toBeInstanceOf(ScanCommand);
+                    const { Segment } = command.input;
+                    calls.push(Segment);
+                    throw failure(Segment === 1 ? 'AccessDeniedException' : 'ProvisionedThroughputExceededException');
+                }
+            }
+        });
+
+        await expect(database.parallelScan({ TableName: 'items' }, {
+            segments: 4,
+            concurrency: 2,
+            baseDelay: 5,
+            logger,
+            onItems: () => {}
+        })).rejects.toMatchObject({ name: 'AccessDeniedException' });
+        await sleep(50);
+
+        expect(calls).toEqual([0, 1]);
+    });
+
+    test('a throwing onItems callback stops the other segments', async () => {
+        const database = await itemsDatabase(40);
+        const segments = new Set();
+
+        await expect(database.parallelScan({ TableName: 'items' }, {
+            segments: 4,
+            concurrency: 1,
+            logger,
+            onItems: (items, { segment }) => {
+                segments.add(segment);
+                throw new Error('sink unavailable');
+            }
+        })).rejects.toThrow('sink unavailable');
+
+        expect([...segments]).toEqual([0]);
+    });
+
+    test('parallelScanPages surfaces a segment failure to the consumer', async () => {
+        const database = createDatabaseService({
+            documentClient: {
+                send: async () => {
+                    throw failure('AccessDeniedException');
+                }
+            }
+        });
+
+        const consume = async () => {
+            for await (const page of database.parallelScanPages({ TableName: 'items' }, { segments: 2, logger })) {
+                expect(page).toBeUndefined();
+            }
+        };
+
+        await expect(consume()).rejects.toMatchObject({ name: 'AccessDeniedException' });
+    });
+});
@@ -0,0 +1,121 @@
+import { BatchExecuteStatementCommand, ExecuteStatementCommand } from '@aws-sdk/lib-dynamodb';
+import { createDatabaseService, sql } from '@taleofddh/database';
+
+const environment = { ENVIRONMENT: process.env.ENVIRONMENT, APP_NAME: process.env.APP_NAME, SERVICE_NAME: process.env.SERVICE_NAME };
+
+// Stand-in for DynamoDB's PartiQL API: pages of two items, and one throttled statement per batch on the first call
+const partiqlClient = (rows) => {
+    const sent = [];
+    let batches = 0;
+    return {
+        sent,
+        send: async (command) => {
+            sent.push(command);
+            if (command instanceof ExecuteStatementCommand) {
+                const start = Number(command.input.NextToken || 0);
+                const end = Math.min(start + Math.min(command.input.Limit || 2, 2), rows.length);
+                return { Items: rows.slice(start, end), ...(end < rows.length && { NextToken: String(end) }) };
+            }
+            if (command instanceof BatchExecuteStatementCommand) {
+                const first = batches++ === 0;
+                return {
+                    Responses: command.input.Statements.map(({ Parameters }, position) => {
+                        if (first && position === 0) {
+                            return { Error: { Code: 'ThrottlingError', Message: 'Throttled' } };
+                        }
+                        if (Parameters[0] === 'locked') {
+                            return { Error: { Code: 'ConditionalCheckFailed', Message: 'Condition failed' } };
+                        }
+                        return Parameters[0] === 'missing' ? {} : { Item: { id: Parameters[0] } };
+                    })
+                };
+            }
+            throw new Error(`Unexpected command ${command.constructor.name}`);
+        }
+    };
+};
+
+describe('PartiQL', () => {
+    beforeAll(() => {
+        Object.assign(process.env, { ENVIRONMENT: 'test', APP_NAME: 'app', SERVICE_NAME: 'requests' });
+    });
+
+    afterAll(() => {
+        Object.entries(environment).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    });
+
+    test('sql turns interpolated values into parameters', () => {
+        const status = "OPEN' OR 1=1 --";
+
+        expect(sql`SELECT * FROM {table} WHERE status = ${status} AND total > ${10}`).toEqual({
+            Statement: 'SELECT * FROM {table} WHERE status = ? AND total > ?',
+            Parameters: [status, 10]
+        });
+        expect(sql`SELECT * FROM {table}`).toEqual({ Statement: 'SELECT * FROM {table}' });
+    });
+
+    test('executeStatement resolves table placeholders and follows NextToken', async () => {
+        const client = partiqlClient([1, 2, 3, 4, 5].map((id) => ({ id })));
+        const database = createDatabaseService({ documentClient: client });
+
+        const { items, nextToken } = await database.executeStatement(
+            sql`SELECT * FROM {table} WHERE status = ${'OPEN'} AND customer IN (SELECT id FROM {table:customer})`,
+            { table: 'request' }
+        );
+
+        expect(items.map((item) => item.id)).toEqual([1, 2, 3, 4, 5]);
+        expect(nextToken).toBeUndefined();
+        expect(client.sent).toHaveLength(3);
+        expect(client.sent[0].input).toEqual({
+            Statement: 'SELECT * FROM "test.app.requests.request" WHERE status = ? AND customer IN (SELECT id FROM "test.app.requests.customer")',
+            Parameters: ['OPEN']
+        });
+    });
+
+    test('executeStatement stops at the limit and returns the token to resume from', async () => {
+        const client = partiqlClient([1, 2, 3, 4, 5].map((id) => ({ id })));
+        const database = createDatabaseService({ documentClient: client });
+
+        const first = await database.executeStatement('SELECT * FROM {table}', { table: 'request', limit: 3 });
+        const rest = await database.executeStatement('SELECT * FROM {table}', { table: 'request', nextToken: first.nextToken });
+
+        expect(first).toEqual({ items: [{ id: 1 }, { id: 2 }, { id: 3 }], nextToken: '3' });
+        expect(rest.items).toEqual([{ id: 4 }, { id: 5 }]);
+    });
+
+    test('a statement without a table for {table} is rejected', async () => {
+        const database = createDatabaseService({ documentClient: partiqlClient([]) });
+
+        await expect(database.executeStatement('SELECT * FROM {table}')).rejects.toThrow('No table given for {table}');
+    });
+
+    test('batchExecuteStatement retries throttled statements and lines responses up with the input', async () => {
+        const client = partiqlClient([]);
+        const database = createDatabaseService({ documentClient: client });
+        const ids = Array.from({ length: 30 }, (_, index) => `r${index}`);
+        ids[3] = 'missing';
+        ids[27] = 'locked';
+
+        const { responses, failed } = await database.batchExecuteStatement(
+            ids.map((id) => sql`SELECT * FROM {table} WHERE id = ${id}`),
+            { table: 'request', concurrency: 1, baseDelay: 1 }
+        );
+
+        expect(client.sent.map((command) => command.input.Statements.length)).toEqual([25, 1, 5]);
+        expect(responses).toHaveLength(30);
+        expect(responses[0]).toEqual({ id: 'r0' });
+        expect(responses[3]).toBeNull();
+        expect(responses[29]).toEqual({ id: 'r29' });
+        expect(failed).toEqual([{
+            index: 27,
+            statement: { Statement: 'SELECT * FROM "test.app.requests.request" WHERE id = ?', Parameters: ['locked'] },
+            error: expect.objectContaining({ name: 'ConditionalCheckFailedException', code: 'ConditionalCheckFailed' })
+        }]);
+    });
+});
@@ -0,0 +1,61 @@
+import { createMemoryDatabase, SequenceGenerator } from '@taleofddh/database';
+
+const sequences = () => {
+    const database = createMemoryDatabase([{
+        TableName: 'sequence',
+        KeySchema: [{ AttributeName: 'name', KeyType: 'HASH' }]
+    }]);
+    return { database, generator: new SequenceGenerator(database, { tableName: 'sequence' }) };
+};
+
+describe('SequenceGenerator', () => {
+    test('hands out consecutive values starting from one', async () => {
+        const { generator } = sequences();
+
+        expect(await generator.current('enquiry')).toBe(0);
+        expect(await generator.next('enquiry')).toBe('1');
+        expect(await generator.next('enquiry')).toBe('2');
+        expect(await generator.next('quotation')).toBe('1');
+        expect(await generator.current('enquiry')).toBe(2);
+    });
+
+    test('reserves a block in one update and formats it', async () => {
+        const { database, generator } = sequences();
+        const update = database.update.bind(database);
+        let updates = 0;
+        database.update = (...args) => {
+            updates++;
+            return update(...args);
+        };
+
+        await generator.next('invoice');
+        const block = await generator.reserve('invoice', 3, { prefix: 'INV', padding: 4 });
+
+        expect(block).toEqual(['INV-0002', 'INV-0003', 'INV-0004']);
+        expect(updates).toBe(2);
+    });
+
+    test('keeps a separate counter per year when reset yearly', async () => {
+        const { generator } = sequences();
+        const options = { prefix: 'Q', padding: 3, resetYearly: true };
+
+        await generator.next('quote', { ...options, date: new Date('2025-12-31T23:00:00Z') });
+        expect(await generator.next('quote', { ...options, date: new Date('2025-12-31T23:30:00Z') })).toBe('Q-2025-002');
+        expect(await generator.next('quote', { ...options, date: new Date('2026-01-01T00:10:00Z') })).toBe('Q-2026-001');
+    });
+
+    test('concurrent callers never receive the same value', async () => {
+        const { generator } = sequences();
+
+        const values = await Promise.all(Array.from({ length: 20 }, () => generator.next('ticket')));
+
+        expect(new Set(values).size).toBe(20);
+    });
+
+    test('rejects block sizes that are not positive integers', async () => {
+        const { generator } = sequences();
+
+        await expect(generator.reserve('ticket', 0)).rejects.toThrow('positive integer');
+        await expect(generator.reserve('ticket', 1.5)).rejects.toThrow('positive integer');
+    });
+});
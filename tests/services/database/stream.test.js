@@ -0,0 +1,100 @@
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { createStreamHandler, parseStreamRecord } from '@taleofddh/database';
+
+const ARN = 'arn:aws:dynamodb:eu-west-1:123456789012:table/prod.app.request/stream/2026-01-01T00:00:00.000';
+
+const streamRecord = (eventName, sequence, { keys, newImage, oldImage, arn = ARN, ttl = false } = {}) => ({
+    eventID: `event-${sequence}`,
+    eventName,
+    eventSourceARN: arn,
+    ...(ttl && { userIdentity: { type: 'Service', principalId: 'dynamodb.amazonaws.com' } }),
+    dynamodb: {
+        Keys: marshall(keys),
+        ...(newImage && { NewImage: marshall(newImage) }),
+        ...(oldImage && { OldImage: marshall(oldImage) }),
+        SequenceNumber: String(sequence),
+        ApproximateCreationDateTime: 1767225600
+    }
+});
+
+describe('parseStreamRecord', () => {
+    test('unmarshalls images and diffs them', () => {
+        const change = parseStreamRecord(streamRecord('MODIFY', 1, {
+            keys: { id: 'r1' },
+            oldImage: { id: 'r1', status: 'NEW', entityType: 'request' },
+            newImage: { id: 'r1', status: 'OPEN', entityType: 'request' }
+        }));
+
+        expect(change).toMatchObject({
+            eventId: 'event-1',
+            eventName: 'MODIFY',
+            tableName: 'prod.app.request',
+            table: 'request',
+            keys: { id: 'r1' },
+            changes: { status: { from: 'NEW', to: 'OPEN' } },
+            sequenceNumber: '1',
+            expired: false
+        });
+    });
+
+    test('flags deletions made by TTL expiry', () => {
+        const change = parseStreamRecord(streamRecord('REMOVE', 2, { keys: { id: 'r1' }, oldImage: { id: 'r1' }, ttl: true }));
+
+        expect(change).toMatchObject({ expired: true, newImage: null, changes: { id: { from: 'r1' } } });
+    });
+});
+
+describe('createStreamHandler', () => {
+    test('routes by entity type, then table, then default', async () => {
+        const calls = [];
+        const handler = createStreamHandler({
+            entities: { invoice: { insert: (change) => calls.push(['invoice.insert', change.keys.id]) } },
+            tables: { request: { modify: (change) => calls.push(['request.modify', change.keys.id]) } },
+            default: (change) => calls.push(['default', change.eventName])
+        });
+
+        const result = await handler({
+            Records: [
+                streamRecord('INSERT', 1, { keys: { id: 'i1' }, newImage: { id: 'i1', entityType: 'invoice' } }),
+                streamRecord('MODIFY', 2, { keys: { id: 'r1' }, oldImage: { id: 'r1' }, newImage: { id: 'r1', status: 'OPEN' } }),
+                streamRecord('REMOVE', 3, { keys: { id: 'r1' }, oldImage: { id: 'r1' } })
+            ]
+        });
+
+        expect(result).toEqual({ batchItemFailures: [] });
+        expect(calls).toEqual([['invoice.insert', 'i1'], ['request.modify', 'r1'], ['default', 'REMOVE']]);
+    });
+
+    test('skips filtered records', async () => {
+        const seen = [];
+        const handler = createStreamHandler({ default: (change) => seen.push(change.keys.id) }, { filter: (change) => !change.expired });
+
+        await handler({
+            Records: [
+                streamRecord('REMOVE', 1, { keys: { id: 'r1' }, oldImage: { id: 'r1' }, ttl: true }),
+                streamRecord('REMOVE', 2, { keys: { id: 'r2' }, oldImage: { id: 'r2' } })
+            ]
+        });
+
+        expect(seen).toEqual(['r2']);
+    });
+
+    test('stops at the first failure and reports it in batchItemFailures', async () => {
+        const processed = [];
+        const handler = createStreamHandler({
+            default: async (change) => {
+                if (change.keys.id === 'r2') {
+                    throw new Error('downstream unavailable');
+                }
+                processed.push(change.keys.id);
+            }
+        });
+
+        const result = await handler({
+            Records: [1, 2, 3].map((sequence) => streamRecord('INSERT', sequence, { keys: { id: `r${sequence}` }, newImage: { id: `r${sequence}` } }))
+        });
+
+        expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: '2' }] });
+        expect(processed).toEqual(['r1']);
+    });
+});
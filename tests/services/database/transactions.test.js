@@ -0,0 +1,58 @@
+import { createDatabaseService, createMemoryDatabase } from '@taleofddh/database';
+
+const accountsDatabase = async () => {
+    const database = createMemoryDatabase([{ TableName: 'accounts', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }]);
+    await database.put({ TableName: 'accounts', Item: { id: 'a', balance: 100 } });
+    await database.put({ TableName: 'accounts', Item: { id: 'b', balance: 0 } });
+    await database.put({ TableName: 'accounts', Item: { id: 'bank', open: true } });
+    return database;
+};
+
+const transfer = (amount) => ({
+    TransactItems: [
+        {
+            Update: {
+                TableName: 'accounts',
+                Key: { id: 'a' },
+                UpdateExpression: 'SET balance = balance - :amount',
+                ConditionExpression: 'balance >= :amount',
+                ExpressionAttributeValues: { ':amount': amount },
+                ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+            }
+        },
+        { Update: { TableName: 'accounts', Key: { id: 'b' }, UpdateExpression: 'SET balance = balance + :amount', ExpressionAttributeValues: { ':amount': amount } } },
+        { ConditionCheck: { TableName: 'accounts', Key: { id: 'bank' }, ConditionExpression: '#open = :open', ExpressionAttributeNames: { '#open': 'open' }, ExpressionAttributeValues: { ':open': true } } }
+    ]
+});
+
+describe('transactions', () => {
+    test('transactWrite applies every action and transactGet reads them back', async () => {
+        const database = await accountsDatabase();
+
+        await database.transactWrite(transfer(30));
+        const balances = await database.transactGet({
+            TransactItems: [{ Get: { TableName: 'accounts', Key: { id: 'a' } } }, { Get: { TableName: 'accounts', Key: { id: 'missing' } } }]
+        });
+
+        expect(balances).toEqual([{ id: 'a', balance: 70 }, null]);
+        expect(await database.get({ TableName: 'accounts', Key: { id: 'b' } })).toEqual({ id: 'b', balance: 30 });
+    });
+
+    test('a cancelled transaction changes nothing and reports the failing action', async () => {
+        const database = await accountsDatabase();
+
+        const error = await database.transactWrite(transfer(500)).catch((caught) => caught);
+
+        expect(error.name).toBe('TransactionCanceledException');
+        expect(error.errors[0]).toMatchObject({ index: 0, code: 'ConditionalCheckFailed', action: 'Update', tableName: 'accounts', item: { id: 'a', balance: 100 } });
+        expect(error.errors.slice(1)).toEqual([null, null]);
+        expect(await database.get({ TableName: 'accounts', Key: { id: 'b' } })).toEqual({ id: 'b', balance: 0 });
+    });
+
+    test('a request without TransactItems fails with the client error, not a TypeError', async () => {
+        const validation = Object.assign(new Error('1 validation error detected'), { name: 'ValidationException' });
+        const database = createDatabaseService({ documentClient: { send: async () => { throw validation; } } });
+
+        await expect(database.transactWrite({})).rejects.toBe(validation);
+    });
+});
@@ -0,0 +1,92 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { ValidationError } from '@taleofddh/error';
+import { createMemoryDatabase, TableTransfer } from '@taleofddh/database';
+import { createStorageService } from '@taleofddh/storage';
+
+const logger = { logMetric: () => {} };
+
+const tables = () => createMemoryDatabase([
+    { TableName: 'dev.app.member', KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }] },
+    { TableName: 'prod.app.member', KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }] }
+]);
+
+const members = [
+    { pk: 'dev#1', name: 'Ann', age: 34, tags: new Set(['admin']), address: { city: 'Paris' } },
+    { pk: 'dev#2', name: 'Bob, Jr.', age: 27, active: true },
+    { pk: 'dev#3', name: 'Cy "the" Third', age: 51 }
+];
+
+describe('TableTransfer', () => {
+    let root;
+    let storage;
+    let database;
+    let transfer;
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+        storage = createStorageService({ backend: 'filesystem', root });
+        database = tables();
+        transfer = new TableTransfer(database, storage, { bucket: 'exports' });
+        for (const item of members) {
+            await database.put({ TableName: 'dev.app.member', Item: item });
+        }
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    test('round-trips every type through gzipped JSON Lines and remaps keys between stages', async () => {
+        const exported = await transfer.exportTable('member', { tableName: 'dev.app.member', gzip: true, segments: 2, logger, key: 'member.jsonl.gz' });
+        expect(exported).toMatchObject({ key: 'member.jsonl.gz', count: 3, gzip: true });
+
+        const imported = await transfer.importTable('member', {
+            tableName: 'prod.app.member',
+            key: 'member.jsonl.gz',
+            keyAttributes: ['pk'],
+            remapKeys: { pk: (value) => value.replace('dev#', 'prod#') }
+        });
+
+        expect(imported).toMatchObject({ count: 3, written: 3, failed: [] });
+        const { items } = await database.scanAll({ TableName: 'prod.app.member' });
+        expect(items.sort((a, b) => a.pk.localeCompare(b.pk))).toEqual(members.map((item) => ({ ...item, pk: item.pk.replace('dev#', 'prod#') })));
+    });
+
+    test('exports CSV with a header and imports typed columns', async () => {
+        await transfer.exportTable('member', { tableName: 'dev.app.member', format: 'csv', logger, key: 'member.csv' });
+
+        const object = await storage.getObject({ Bucket: 'exports', Key: 'member.csv' });
+        const [header] = (await object.Body.transformToString()).split('\n');
+        expect(header).toBe('active,address,age,name,pk,tags');
+
+        const { items, errors } = await transfer.readExport({ key: 'member.csv', types: { age: 'number', active: 'boolean', address: 'json', tags: 'set' } });
+        expect(errors).toEqual([]);
+        expect(items.sort((a, b) => a.pk.localeCompare(b.pk))).toEqual(members);
+    });
+
+    test('validates everything before writing and reports it on a dry run', async () => {
+        await storage.putObject({
+            Bucket: 'exports',
+            Key: 'broken.jsonl.gz',
+            Body: gzipSync([
+                JSON.stringify({ Item: { pk: { S: 'a' } } }),
+                'not json',
+                JSON.stringify({ Item: { pk: { S: 'a' } } }),
+                JSON.stringify({ Item: { name: { S: 'no key' } } })
+            ].join('\n'))
+        });
+        const options = { tableName: 'prod.app.member', key: 'broken.jsonl.gz', keyAttributes: ['pk'] };
+
+        const dryRun = await transfer.importTable('member', { ...options, dryRun: true });
+        expect(dryRun).toMatchObject({ dryRun: true, count: 1, sample: [{ pk: 'a' }] });
+        expect(dryRun.errors).toEqual([
+            { line: 2, message: expect.stringContaining('Invalid JSON line') },
+            { item: 2, message: 'Duplicate key: ["a"]' },
+            { item: 3, message: 'Missing or invalid key attributes: pk' }
+        ]);
+
+        await expect(transfer.importTable('member', options)).rejects.toBeInstanceOf(ValidationError);
+        expect((await database.scanAll({ TableName: 'prod.app.member' })).items).toEqual([]);
+    });
+});
@@ -0,0 +1,67 @@
+import { createMemoryDatabase, SequenceGenerator, AuditTrail, IdempotencyStore } from '@taleofddh/database';
+
+const hashTable = (TableName, AttributeName = 'id') => ({ TableName, KeySchema: [{ AttributeName, KeyType: 'HASH' }] });
+
+const versionedDatabase = () => createMemoryDatabase([
+    hashTable('documents'),
+    hashTable('sequences', 'name'),
+    hashTable('idempotency'),
+    { TableName: 'audit', KeySchema: [{ AttributeName: 'entity', KeyType: 'HASH' }, { AttributeName: 'timestamp', KeyType: 'RANGE' }] }
+], { versioning: { attribute: 'version' } });
+
+describe('optimistic locking', () => {
+    test('puts and updates bump the version and reject stale writers', async () => {
+        const database = versionedDatabase();
+
+        const { Item } = await database.put({ TableName: 'documents', Item: { id: 'a', title: 'first' } });
+        expect(Item.version).toBe(1);
+
+        await database.update({
+            TableName: 'documents',
+            Key: { id: 'a' },
+            UpdateExpression: 'SET title = :title',
+            ExpressionAttributeValues: { ':title': 'second' }
+        }, { expectedVersion: 1 });
+        expect(await database.get({ TableName: 'documents', Key: { id: 'a' } })).toMatchObject({ title: 'second', version: 2 });
+
+        const stale = database.update({
+            TableName: 'documents',
+            Key: { id: 'a' },
+            UpdateExpression: 'SET title = :title',
+            ExpressionAttributeValues: { ':title': 'stale' }
+        }, { expectedVersion: 1 });
+        await expect(stale).rejects.toMatchObject({ name: 'ConflictError', expectedVersion: 1, actualVersion: 2 });
+
+        // A put without the version is a create, and the item already exists
+        await expect(database.put({ TableName: 'documents', Item: { id: 'a', title: 'again' } }))
+            .rejects.toMatchObject({ name: 'ConflictError', actualVersion: 2 });
+    });
+
+    test('versioning: false opts a single call out', async () => {
+        const database = versionedDatabase();
+        await database.put({ TableName: 'documents', Item: { id: 'a', title: 'first' } });
+
+        await database.put({ TableName: 'documents', Item: { id: 'a', title: 'overwritten' } }, { versioning: false });
+
+        expect(await database.get({ TableName: 'documents', Key: { id: 'a' } })).toEqual({ id: 'a', title: 'overwritten' });
+    });
+
+    test('sequences, audit entries and idempotency records work on a versioned database', async () => {
+        const database = versionedDatabase();
+
+        const sequences = new SequenceGenerator(database, { tableName: 'sequences' });
+        expect(await sequences.next('order')).toBe('1');
+        expect(await sequences.next('order')).toBe('2');
+
+        const audit = new AuditTrail(database, { tableName: 'audit' });
+        await audit.record({ entityType: 'document', entityId: 'a', action: 'CREATE', after: { title: 'first' } });
+        await audit.record({ entityType: 'document', entityId: 'a', action: 'DELETE', before: { title: 'first' } });
+        expect((await audit.history('document', 'a')).items).toHaveLength(2);
+
+        const idempotency = new IdempotencyStore(database, { tableName: 'idempotency' });
+        const first = await idempotency.execute({ orderId: 1 }, null, async () => 'created');
+        const replay = await idempotency.execute({ orderId: 1 }, null, async () => 'created twice');
+        expect([first, replay]).toEqual(['created', 'created']);
+        expect(database.docClient.dump('idempotency')[0].version).toBeUndefined();
+    });
+});
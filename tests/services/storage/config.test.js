@@ -0,0 +1,133 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { ConflictError, NotFoundError, ValidationError } from '@taleofddh/error';
+import { createStorageService } from '@taleofddh/storage';
+
+describe('ConfigStore', () => {
+    let root;
+
+    // Each service is a separate process as far as caching goes; they share the directory like instances share a bucket
+    const service = (config = {}) => {
+        const storage = createStorageService({ backend: 'filesystem', root, config: { bucket: 'config', keyFor: (name) => `test/${name}.json`, ...config } });
+        const send = storage.client.send.bind(storage.client);
+        storage.reads = [];
+        storage.client.send = async (command) => {
+            if (command instanceof GetObjectCommand) {
+                storage.reads.push(command.input);
+            }
+            try {
+                const data = await send(command);
+                if (command instanceof GetObjectCommand) {
+                    storage.reads[storage.reads.length - 1].status = 200;
+                }
+                return data;
+            } catch (error) {
+                if (command instanceof GetObjectCommand) {
+                    storage.reads[storage.reads.length - 1].status = error.$metadata?.httpStatusCode;
+                }
+                throw error;
+            }
+        };
+        return storage;
+    };
+
+    const later = async (seconds, fn) => {
+        const now = Date.now;
+        Date.now = () => now() + seconds * 1000;
+        try {
+            return await fn();
+        } finally {
+            Date.now = now;
+        }
+    };
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    test('serves reads from the cache until the TTL passes, then revalidates by ETag', async () => {
+        const storage = service({ ttl: 60 });
+        await storage.config.put('types', [{ code: 'A' }]);
+        storage.config.clear();
+
+        expect(await storage.config.get('types')).toEqual([{ code: 'A' }]);
+        expect(await storage.config.get('types')).toEqual([{ code: 'A' }]);
+        expect(storage.reads).toHaveLength(1);
+
+        expect(await later(61, () => storage.config.get('types'))).toEqual([{ code: 'A' }]);
+        expect(storage.reads).toHaveLength(2);
+        expect(storage.reads[1]).toMatchObject({ IfNoneMatch: expect.any(String), status: 304 });
+    });
+
+    test('downloads again once another writer changed the object', async () => {
+        const reader = service({ ttl: 60 });
+        const writer = service();
+        await writer.config.put('flags', { beta: false });
+
+        expect(await reader.config.get('flags')).toEqual({ beta: false });
+        await writer.config.put('flags', { beta: true });
+        expect(await reader.config.get('flags')).toEqual({ beta: false });
+
+        expect(await later(61, () => reader.config.get('flags'))).toEqual({ beta: true });
+        expect(reader.reads[1].status).toBe(200);
+    });
+
+    test('concurrent reads share one request and get their own copies', async () => {
+        const storage = service();
+        await service().config.put('menu', { items: ['home'] });
+
+        const [first, second] = await Promise.all([storage.config.get('menu'), storage.config.get('menu')]);
+        first.items.push('changed');
+
+        expect(second).toEqual({ items: ['home'] });
+        expect(await storage.config.get('menu')).toEqual({ items: ['home'] });
+        expect(storage.reads).toHaveLength(1);
+    });
+
+    test('a conditional write after someone else wrote fails with ConflictError', async () => {
+        const alice = service();
+        const bob = service();
+        await alice.config.put('limits', { max: 1 });
+        await alice.config.get('limits');
+        await bob.config.get('limits');
+
+        await bob.config.put('limits', { max: 2 }, { ifMatch: true });
+
+        await expect(alice.config.put('limits', { max: 3 }, { ifMatch: true })).rejects.toBeInstanceOf(ConflictError);
+        expect(await alice.config.get('limits')).toEqual({ max: 2 });
+        await expect(alice.config.put('limits', { max: 4 }, { ifNoneMatch: true })).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    test('update retries its read-modify-write on conflicts', async () => {
+        const alice = service();
+        const bob = service();
+        await alice.config.put('counter', { value: 0 });
+        let calls = 0;
+
+        const result = await alice.config.update('counter', async (current) => {
+            if (calls++ === 0) {
+                await bob.config.put('counter', { value: 10 });
+            }
+            return { value: current.value + 1 };
+        });
+
+        expect(calls).toBe(2);
+        expect(result).toEqual({ value: 11 });
+        expect(await bob.config.get('counter', { refresh: true })).toEqual({ value: 11 });
+    });
+
+    test('reports missing configs and schema violations', async () => {
+        const isString = (value) => (typeof value === 'string' ? { isValid: true, errors: [], value } : { isValid: false, errors: ['must be a string'] });
+        const storage = service({ schemas: { types: { code: isString } } });
+
+        await expect(storage.config.get('missing')).rejects.toBeInstanceOf(NotFoundError);
+        expect(await storage.config.get('missing', { defaultValue: [] })).toEqual([]);
+        const invalid = storage.config.put('types', [{ code: 'A' }, { code: 7 }]);
+        await expect(invalid).rejects.toBeInstanceOf(ValidationError);
+        await expect(invalid).rejects.toMatchObject({ errors: ['[1] code: must be a string'] });
+    });
+});
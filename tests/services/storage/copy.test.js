@@ -0,0 +1,119 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    HeadObjectCommand, CopyObjectCommand, CreateMultipartUploadCommand, UploadPartCopyCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { createStorageService } from '@taleofddh/storage';
+
+const GB = 1024 * 1024 * 1024;
+
+// S3 stand-in for objects too large to create: records every command and answers with canned responses
+const copyClient = (size, options = {}) => {
+    const sent = [];
+    return {
+        sent,
+        send: async (command) => {
+            sent.push(command);
+            if (command instanceof HeadObjectCommand) {
+                return { ContentLength: size, ContentType: 'video/mp4', Metadata: { owner: 'ann' }, ETag: '"source"' };
+            }
+            if (command instanceof CreateMultipartUploadCommand) {
+                return { UploadId: 'upload-1' };
+            }
+            if (command instanceof UploadPartCopyCommand) {
+                if (options.failPart === command.input.PartNumber) {
+                    throw Object.assign(new Error('Slow down'), { name: 'SlowDown' });
+                }
+                return { CopyPartResult: { ETag: `"part-${command.input.PartNumber}"` } };
+            }
+            return {};
+        }
+    };
+};
+
+const ofType = (sent, Command) => sent.filter((command) => command instanceof Command);
+
+describe('copyObject', () => {
+    test('copies objects up to 5 GB with a single CopyObject', async () => {
+        const client = copyClient(5 * GB);
+        const storage = createStorageService({ client });
+
+        await storage.copyObject({ Bucket: 'media', Key: 'a.mp4' }, { Bucket: 'archive', Key: 'a.mp4' });
+
+        expect(client.sent.map((command) => command.constructor)).toEqual([HeadObjectCommand, CopyObjectCommand]);
+        expect(client.sent[1].input).toEqual({ Bucket: 'archive', Key: 'a.mp4', CopySource: 'media/a.mp4' });
+    });
+
+    test('copies larger objects as byte-range parts with one HeadObject and the source headers', async () => {
+        const client = copyClient(5 * GB + 1);
+        const storage = createStorageService({ client });
+
+        await storage.copyObject({ Bucket: 'media', Key: 'b.mp4' }, { Bucket: 'archive', Key: 'b.mp4' }, { partSize: 2 * GB });
+
+        expect(ofType(client.sent, HeadObjectCommand)).toHaveLength(1);
+        expect(ofType(client.sent, CreateMultipartUploadCommand)[0].input).toEqual({
+            Bucket: 'archive', Key: 'b.mp4', ContentType: 'video/mp4', Metadata: { owner: 'ann' }
+        });
+        expect(ofType(client.sent, UploadPartCopyCommand).map((command) => command.input.CopySourceRange)).toEqual([
+            `bytes=0-${2 * GB - 1}`, `bytes=${2 * GB}-${4 * GB - 1}`, `bytes=${4 * GB}-${5 * GB}`
+        ]);
+        expect(ofType(client.sent, CompleteMultipartUploadCommand)[0].input.MultipartUpload.Parts).toEqual([
+            { PartNumber: 1, ETag: '"part-1"' }, { PartNumber: 2, ETag: '"part-2"' }, { PartNumber: 3, ETag: '"part-3"' }
+        ]);
+    });
+
+    test('a known size skips the first HeadObject and a failed part aborts the copy', async () => {
+        const client = copyClient(6 * GB, { failPart: 2 });
+        const storage = createStorageService({ client });
+
+        await expect(storage.copyObject({ Bucket: 'media', Key: 'c.mp4' }, { Bucket: 'archive', Key: 'c.mp4' }, { size: 6 * GB, partSize: 3 * GB, concurrency: 1 }))
+            .rejects.toMatchObject({ name: 'SlowDown' });
+
+        expect(ofType(client.sent, HeadObjectCommand)).toHaveLength(1);
+        expect(ofType(client.sent, AbortMultipartUploadCommand)[0].input).toEqual({ Bucket: 'archive', Key: 'c.mp4', UploadId: 'upload-1' });
+        expect(ofType(client.sent, CompleteMultipartUploadCommand)).toHaveLength(0);
+    });
+});
+
+describe('prefix operations', () => {
+    let root;
+    let storage;
+
+    const keys = async (Bucket, Prefix) => (await storage.listObjects({ Bucket, Prefix })).objects.map((object) => object.key);
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+        storage = createStorageService({ backend: 'filesystem', root });
+        for (const Key of ['site/index.html', 'site/css/app.css', 'site/img/logo.png', 'other/readme.txt']) {
+            await storage.putObject({ Bucket: 'web', Key, Body: Key });
+        }
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    test('copyPrefix keeps relative keys, across buckets too', async () => {
+        const { copied, failed } = await storage.copyPrefix({ Bucket: 'web', Prefix: 'site/' }, { Bucket: 'backup', Prefix: '2026/site/' });
+
+        expect(failed).toEqual([]);
+        expect(copied).toHaveLength(3);
+        expect(await keys('backup', '')).toEqual(['2026/site/css/app.css', '2026/site/img/logo.png', '2026/site/index.html']);
+        expect(await storage.download({ Bucket: 'backup', Key: '2026/site/css/app.css' }, { as: 'string' })).toBe('site/css/app.css');
+    });
+
+    test('copyPrefix refuses a destination inside the source', async () => {
+        await expect(storage.copyPrefix({ Bucket: 'web', Prefix: 'site/' }, { Prefix: 'site/copy/' })).rejects.toThrow('inside the source prefix');
+    });
+
+    test('movePrefix copies then deletes the sources, and deletePrefix empties a prefix', async () => {
+        const { moved, failed } = await storage.movePrefix({ Bucket: 'web', Prefix: 'site/' }, { Prefix: 'live/' });
+
+        expect(failed).toEqual([]);
+        expect(moved).toHaveLength(3);
+        expect(await keys('web', '')).toEqual(['live/css/app.css', 'live/img/logo.png', 'live/index.html', 'other/readme.txt']);
+
+        const { deleted } = await storage.deletePrefix({ Bucket: 'web', Prefix: 'live/' });
+        expect(deleted.sort()).toEqual(['live/css/app.css', 'live/img/logo.png', 'live/index.html']);
+        expect(await keys('web', '')).toEqual(['other/readme.txt']);
+    });
+});
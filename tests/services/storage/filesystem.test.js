@@ -0,0 +1,80 @@
+import { createHash } from 'crypto';
+import { mkdtemp, rm, readdir, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { createStorageService } from '@taleofddh/storage';
+
+describe('FileSystemS3Client', () => {
+    let root;
+    let storage;
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+        storage = createStorageService({ backend: 'filesystem', root });
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    const put = (Key, Body, fields = {}) => storage.putObject({ Bucket: 'data', Key, Body, ...fields });
+
+    test('reads, writes, copies and deletes objects with their metadata', async () => {
+        await put('docs/a.json', '{"a":1}', { ContentType: 'application/json', Metadata: { owner: 'ann' } });
+
+        await storage.copyObject({ Bucket: 'data', Key: 'docs/a.json' }, { Bucket: 'data', Key: 'docs/b.json' });
+        const copy = await storage.client.send(new GetObjectCommand({ Bucket: 'data', Key: 'docs/b.json', Range: 'bytes=1-3' }));
+        await storage.deleteObject({ Bucket: 'data', Key: 'docs/a.json' });
+
+        expect(copy).toMatchObject({ ContentType: 'application/json', Metadata: { owner: 'ann' }, ContentRange: 'bytes 1-3/7' });
+        expect(await copy.Body.transformToString()).toBe('"a"');
+        expect(await storage.headObject({ Bucket: 'data', Key: 'docs/a.json' })).toBeNull();
+        expect(await storage.getObjectSignedUrl({ Bucket: 'data', Key: 'docs/b.json' }, { expiresIn: 60 })).toMatch(/^file:\/\/.*docs\/b\.json\?X-Amz-Method=GET&.*X-Amz-Expires=60$/);
+    });
+
+    test('recognises commands by class, not by class name, and rejects S3 Select', async () => {
+        // What a minifying bundler leaves of the SDK's class names
+        class a extends PutObjectCommand {}
+        await storage.client.send(new a({ Bucket: 'data', Key: 'people.csv', Body: 'name\nann\n' }));
+
+        expect((await storage.headObject({ Bucket: 'data', Key: 'people.csv' })).ContentLength).toBe(9);
+        await expect(storage.selectAll({ Bucket: 'data', Key: 'people.csv', Expression: 'SELECT * FROM S3Object' }, { format: 'csv' }))
+            .rejects.toMatchObject({ name: 'NotImplemented', $metadata: { httpStatusCode: 501 } });
+    });
+
+    describe('listing', () => {
+        test('reports sizes and ETags, including for files placed by hand', async () => {
+            const { ETag } = await put('reports/a.txt', 'hello');
+            await writeFile(path.join(root, 'data', 'reports', 'b.txt'), 'by hand');
+
+            const { objects } = await storage.listObjects({ Bucket: 'data', Prefix: 'reports/' });
+
+            expect(objects.map(({ name, size, etag }) => ({ name, size, etag }))).toEqual([
+                { name: 'a.txt', size: 5, etag: ETag.replace(/"/g, '') },
+                { name: 'b.txt', size: 7, etag: createHash('md5').update('by hand').digest('hex') }
+            ]);
+        });
+    });
+
+    describe('key collisions', () => {
+        test('deleting the last object under a prefix frees the path for an object', async () => {
+            await put('a/b/c.txt', 'nested');
+
+            await storage.deleteObject({ Bucket: 'data', Key: 'a/b/c.txt' });
+            await put('a', 'flat');
+
+            expect(await readdir(path.join(root, 'data'))).toEqual(['a']);
+            expect(await readdir(path.join(root, '.metadata', 'data'))).toEqual(['a.json']);
+            expect((await storage.headObject({ Bucket: 'data', Key: 'a' })).ContentLength).toBe(4);
+        });
+
+        test('a key that is also a prefix of other keys fails with an S3 error', async () => {
+            await put('a/b/c.txt', 'nested');
+
+            await expect(put('a/b', 'conflict')).rejects.toMatchObject({ name: 'InvalidArgument', $metadata: { httpStatusCode: 400 } });
+            await expect(put('a/b/c.txt/d', 'conflict')).rejects.toMatchObject({ name: 'InvalidArgument', $metadata: { httpStatusCode: 400 } });
+            // Deleting a "key" that is only a directory is a no-op, as for any missing key
+            await storage.deleteObject({ Bucket: 'data', Key: 'a/b' });
+            expect((await storage.headObject({ Bucket: 'data', Key: 'a/b/c.txt' })).ContentLength).toBe(6);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createStorageService } from '@taleofddh/storage';
+
+describe('listing', () => {
+    let root;
+    let storage;
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+        storage = createStorageService({ backend: 'filesystem', root });
+        const keys = ['docs/a.txt', 'docs/b.txt', 'docs/c.txt', 'docs/2025/x.txt', 'docs/2025/q1/y.txt', 'docs/2026/z.txt', 'images/logo.png'];
+        for (const Key of keys) {
+            await storage.putObject({ Bucket: 'data', Key, Body: Key });
+        }
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    test('listObjects follows continuation tokens and returns object metadata', async () => {
+        const { objects, continuationToken } = await storage.listObjects({ Bucket: 'data', Prefix: 'docs/', MaxKeys: 2 });
+
+        expect(objects.map((object) => object.name)).toEqual(['2025/q1/y.txt', '2025/x.txt', '2026/z.txt', 'a.txt', 'b.txt', 'c.txt']);
+        expect(objects[3]).toMatchObject({ key: 'docs/a.txt', size: 10, etag: expect.stringMatching(/^[0-9a-f]{32}$/), lastModified: expect.any(Date) });
+        expect(continuationToken).toBeUndefined();
+    });
+
+    test('a limit stops early with a token that resumes exactly where it left off', async () => {
+        const first = await storage.listObjects({ Bucket: 'data', Prefix: 'docs/', MaxKeys: 2 }, { limit: 3 });
+        const rest = await storage.listObjects({ Bucket: 'data', Prefix: 'docs/' }, { continuationToken: first.continuationToken });
+
+        expect(first.objects).toHaveLength(3);
+        expect([...first.objects, ...rest.objects].map((object) => object.name)).toEqual(['2025/q1/y.txt', '2025/x.txt', '2026/z.txt', 'a.txt', 'b.txt', 'c.txt']);
+    });
+
+    test('listObjectsPages yields one page at a time', async () => {
+        const pages = [];
+        for await (const page of storage.listObjectsPages({ Bucket: 'data', Prefix: 'docs/', Delimiter: '/', MaxKeys: 2 })) {
+            pages.push([...page.prefixes, ...page.objects.map((object) => object.key)]);
+        }
+
+        expect(pages).toEqual([['docs/2025/', 'docs/2026/'], ['docs/a.txt', 'docs/b.txt'], ['docs/c.txt']]);
+    });
+
+    test('listBucket and listFolder list folder names and file names across pages', async () => {
+        expect(await storage.listBucket({ Bucket: 'data', Prefix: 'docs/', Delimiter: '/', MaxKeys: 1 })).toEqual(['2025', '2026']);
+        expect(await storage.listFolder({ Bucket: 'data', Prefix: 'docs/2025/', MaxKeys: 1 })).toEqual(['q1/y.txt', 'x.txt']);
+        expect(await storage.listBucket({ Bucket: 'empty', Delimiter: '/' })).toEqual([]);
+    });
+
+    test('listTree builds the folder tree down to maxDepth', async () => {
+        const tree = await storage.listTree({ Bucket: 'data', Prefix: 'docs/' }, { maxDepth: 2 });
+
+        expect(tree.name).toBe('docs');
+        expect(tree.objects.map((object) => object.name)).toEqual(['a.txt', 'b.txt', 'c.txt']);
+        expect(tree.folders.map((folder) => folder.name)).toEqual(['2025', '2026']);
+        expect(tree.folders[0].folders).toEqual([{ prefix: 'docs/2025/q1/', name: 'q1', objects: [], folders: [] }]);
+        expect(tree.folders[1].objects.map((object) => object.key)).toEqual(['docs/2026/z.txt']);
+    });
+
+    test('pages without Contents or CommonPrefixes list as empty', async () => {
+        const empty = createStorageService({ client: { send: async () => ({ KeyCount: 0, IsTruncated: false }) } });
+
+        expect(await empty.listObjects({ Bucket: 'data' })).toEqual({ objects: [], prefixes: [], continuationToken: undefined });
+        expect(await empty.listBucket({ Bucket: 'data', Delimiter: '/' })).toEqual([]);
+        expect(await empty.listFolder({ Bucket: 'data' })).toEqual([]);
+    });
+});
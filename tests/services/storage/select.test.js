@@ -0,0 +1,107 @@
+import { SelectObjectContentCommand } from '@aws-sdk/client-s3';
+import { createStorageService } from '@taleofddh/storage';
+
+const environment = { S3_BUCKET: process.env.S3_BUCKET, ENVIRONMENT: process.env.ENVIRONMENT, SERVICE_NAME: process.env.SERVICE_NAME };
+
+// S3 stand-in whose Payload splits the rows at arbitrary byte offsets, as the event stream does
+const selectClient = (text, chunkSize = 7) => {
+    const sent = [];
+    return {
+        sent,
+        send: async (command) => {
+            sent.push(command);
+            const bytes = new TextEncoder().encode(text);
+            async function* payload() {
+                for (let start = 0; start < bytes.length; start += chunkSize) {
+                    yield { Records: { Payload: bytes.slice(start, start + chunkSize) } };
+                }
+                yield { Stats: { Details: { BytesScanned: 100, BytesProcessed: 80, BytesReturned: bytes.length } } };
+                yield { End: {} };
+            }
+            return { Payload: payload() };
+        }
+    };
+};
+
+describe('S3 Select', () => {
+    beforeAll(() => {
+        Object.assign(process.env, { S3_BUCKET: 'config', ENVIRONMENT: 'test', SERVICE_NAME: 'events' });
+    });
+
+    afterAll(() => {
+        Object.entries(environment).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    });
+
+    test('selectAll reassembles rows split across payload chunks, including multi-byte characters', async () => {
+        const client = selectClient('{"id":1,"name":"Zoë"}\n{"id":2,"name":"Łukasz"}\n{"id":3,"name":"Ann"}', 5);
+        const storage = createStorageService({ client });
+
+        const { rows, stats } = await storage.selectAll({ Bucket: 'data', Key: 'people.jsonl', Expression: 'SELECT * FROM S3Object s' }, { format: 'jsonl' });
+
+        expect(rows).toEqual([{ id: 1, name: 'Zoë' }, { id: 2, name: 'Łukasz' }, { id: 3, name: 'Ann' }]);
+        expect(stats).toEqual({ bytesScanned: 100, bytesProcessed: 80, bytesReturned: expect.any(Number) });
+        expect(client.sent[0].input).toMatchObject({
+            ExpressionType: 'SQL',
+            InputSerialization: { CompressionType: 'NONE', JSON: { Type: 'LINES' } },
+            OutputSerialization: { JSON: { RecordDelimiter: '\n' } }
+        });
+    });
+
+    test('CSV input takes header, delimiter and compression options', async () => {
+        const client = selectClient('{"_1":"a","_2":"1"}\n');
+        const storage = createStorageService({ client });
+
+        const { rows } = await storage.selectAll(
+            { Bucket: 'data', Key: 'rows.csv.gz', Expression: 'SELECT * FROM S3Object' },
+            { format: 'csv', compression: 'GZIP', csv: { header: 'NONE', delimiter: ';' } }
+        );
+
+        expect(rows).toEqual([{ _1: 'a', _2: '1' }]);
+        expect(client.sent[0].input.InputSerialization).toEqual({
+            CompressionType: 'GZIP',
+            CSV: { FileHeaderInfo: 'NONE', FieldDelimiter: ';', QuoteCharacter: '"', RecordDelimiter: '\n', AllowQuotedRecordDelimiter: false }
+        });
+    });
+
+    test('unsupported compression is rejected before anything is sent', async () => {
+        const client = selectClient('');
+        const storage = createStorageService({ client });
+
+        await expect(storage.selectAll({ Bucket: 'data', Key: 'a.parquet', Expression: 'SELECT 1' }, { format: 'parquet', compression: 'GZIP' }))
+            .rejects.toThrow('Parquet input does not take a compression type');
+        await expect(storage.selectAll({ Bucket: 'data', Key: 'a.csv', Expression: 'SELECT 1' }, { format: 'csv', compression: 'ZIP' }))
+            .rejects.toThrow('Unsupported compression: ZIP');
+        expect(client.sent).toEqual([]);
+    });
+
+    test("operation('selectRows') picks the key extension from the format and returns parsed rows", async () => {
+        const client = selectClient('{"type":"click"}\n');
+        const storage = createStorageService({ client });
+
+        const rows = await storage.operation('selectRows', '2026/clicks', { expression: 'SELECT * FROM S3Object', format: 'jsonl', compression: 'GZIP' });
+
+        expect(rows).toEqual([{ type: 'click' }]);
+        expect(client.sent[0].input).toMatchObject({ Bucket: 'config', Key: 'test/events/2026/clicks.jsonl.gz' });
+    });
+
+    test("operation('selectObjectContent') queries the JSON document and returns the raw response", async () => {
+        const client = selectClient('{"a":1}\n');
+        const storage = createStorageService({ client });
+
+        const response = await storage.operation('selectObjectContent', 'settings', 'SELECT * FROM S3Object');
+
+        expect(client.sent[0]).toBeInstanceOf(SelectObjectContentCommand);
+        expect(client.sent[0].input).toMatchObject({
+            Bucket: 'config',
+            Key: 'test/events/settings.json',
+            InputSerialization: { CompressionType: 'NONE', JSON: { Type: 'DOCUMENT' } }
+        });
+        expect(response.Payload).toBeDefined();
+    });
+});
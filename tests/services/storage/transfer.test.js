@@ -0,0 +1,95 @@
+import { createHash } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { AbortMultipartUploadCommand, CreateMultipartUploadCommand, PutObjectCommand, UploadPartCommand } from '@aws-sdk/client-s3';
+import { createStorageService } from '@taleofddh/storage';
+
+const MB = 1024 * 1024;
+
+const payload = (size) => Buffer.from(Array.from({ length: size }, (_, index) => index % 251));
+
+async function* chunks(buffer, size) {
+    for (let start = 0; start < buffer.length; start += size) {
+        yield buffer.subarray(start, start + size);
+    }
+}
+
+describe('upload and download', () => {
+    let root;
+    let storage;
+    let sent;
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+        storage = createStorageService({ backend: 'filesystem', root });
+        // Record the commands the service sends, and let a test fail some of them
+        sent = [];
+        const send = storage.client.send.bind(storage.client);
+        storage.client.send = async (command) => {
+            sent.push(command);
+            if (storage.fail && storage.fail(command)) {
+                throw Object.assign(new Error('Service unavailable'), { name: 'ServiceUnavailable' });
+            }
+            return send(command);
+        };
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    test('small bodies go up in a single PutObject', async () => {
+        const progress = [];
+
+        const result = await storage.upload({ Bucket: 'data', Key: 'note.txt', Body: 'hello' }, { onProgress: (event) => progress.push(event) });
+
+        expect(result).toMatchObject({ Bucket: 'data', Key: 'note.txt', parts: 1 });
+        expect(sent.map((command) => command.constructor)).toEqual([PutObjectCommand]);
+        expect(progress).toEqual([{ loaded: 5, total: 5, part: 1 }]);
+    });
+
+    test('streams go up as multipart uploads of partSize parts and download intact', async () => {
+        const body = payload(11 * MB);
+        const progress = [];
+
+        const result = await storage.upload(
+            { Bucket: 'data', Key: 'big.bin', Body: chunks(body, 64 * 1024), ContentType: 'application/octet-stream', Metadata: { owner: 'ann' } },
+            { partSize: 5 * MB, concurrency: 2, onProgress: (event) => progress.push(event) }
+        );
+
+        expect(result.parts).toBe(3);
+        expect(sent.filter((command) => command instanceof UploadPartCommand).map((command) => command.input.ContentLength)).toEqual([5 * MB, 5 * MB, MB]);
+        expect(progress[progress.length - 1].loaded).toBe(11 * MB);
+        const downloaded = await storage.download({ Bucket: 'data', Key: 'big.bin' });
+        expect(createHash('md5').update(downloaded).digest('hex')).toBe(createHash('md5').update(body).digest('hex'));
+        expect(await storage.headObject({ Bucket: 'data', Key: 'big.bin' })).toMatchObject({ ContentType: 'application/octet-stream', Metadata: { owner: 'ann' } });
+    });
+
+    test('a failed part aborts the upload', async () => {
+        storage.fail = (command) => command instanceof UploadPartCommand && command.input.PartNumber === 2;
+
+        await expect(storage.upload({ Bucket: 'data', Key: 'big.bin', Body: payload(11 * MB) }, { partSize: 5 * MB, concurrency: 1 }))
+            .rejects.toMatchObject({ name: 'ServiceUnavailable' });
+
+        const { UploadId } = sent.find((command) => command instanceof UploadPartCommand).input;
+        expect(sent[0]).toBeInstanceOf(CreateMultipartUploadCommand);
+        expect(sent[sent.length - 1]).toBeInstanceOf(AbortMultipartUploadCommand);
+        expect(sent[sent.length - 1].input.UploadId).toBe(UploadId);
+        expect(await storage.headObject({ Bucket: 'data', Key: 'big.bin' })).toBeNull();
+    });
+
+    test('download reads strings, JSON, ranges and streams', async () => {
+        await storage.putObject({ Bucket: 'data', Key: 'config.json', Body: '{"theme":"dark","size":12}' });
+        const params = { Bucket: 'data', Key: 'config.json' };
+
+        expect(await storage.download(params, { as: 'json' })).toEqual({ theme: 'dark', size: 12 });
+        expect(await storage.download(params, { as: 'string', range: { start: 2, end: 6 } })).toBe('theme');
+        expect(await storage.download(params, { as: 'string', range: { last: 3 } })).toBe('12}');
+
+        const stream = await storage.download(params, { as: 'stream' });
+        const received = [];
+        for await (const chunk of stream) {
+            received.push(chunk);
+        }
+        expect(Buffer.concat(received).toString()).toBe('{"theme":"dark","size":12}');
+    });
+});
@@ -0,0 +1,88 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createStorageService } from '@taleofddh/storage';
+
+describe('presigned uploads on the filesystem backend', () => {
+    let root;
+    let storage;
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+        storage = createStorageService({ backend: 'filesystem', root });
+    });
+
+    afterEach(() => rm(root, { recursive: true, force: true }));
+
+    const policy = { contentType: 'IMAGE_PNG', allowedTypes: ['IMAGE_PNG', 'IMAGE_JPEG'], keyPrefix: 'uploads/', maxSize: 1024, metadata: { owner: 'ann' } };
+
+    test('createPresignedPost puts the policy in the form fields', async () => {
+        const post = await storage.createPresignedPost({ Bucket: 'media' }, policy);
+        const { conditions } = JSON.parse(Buffer.from(post.fields.Policy, 'base64').toString());
+
+        expect(post.url).toMatch(/^file:\/\//);
+        expect(post.maxSize).toBe(1024);
+        expect(post.fields).toMatchObject({ 'Content-Type': 'image/png', 'x-amz-meta-owner': 'ann', key: 'uploads/${filename}' });
+        expect(conditions).toContainEqual(['content-length-range', 1, 1024]);
+    });
+
+    test('createPresignedPost keeps the checked content type over caller fields', async () => {
+        const post = await storage.createPresignedPost({ Bucket: 'media' }, {
+            ...policy,
+            fields: { 'Content-Type': 'text/html', 'content-type': 'application/x-msdownload', acl: 'private' }
+        });
+        const typeFields = Object.keys(post.fields).filter((name) => name.toLowerCase() === 'content-type');
+
+        expect(typeFields.map((name) => post.fields[name])).toEqual(['image/png']);
+        expect(post.fields.acl).toBe('private');
+    });
+
+    test('the signed S3 policy only allows the checked content type', async () => {
+        // Signing happens locally, so static credentials are enough
+        const s3 = createStorageService({ region: 'eu-west-1', credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret' } });
+
+        const post = await s3.createPresignedPost({ Bucket: 'media' }, { ...policy, fields: { 'content-type': 'text/html' } });
+        const { conditions } = JSON.parse(Buffer.from(post.fields.Policy, 'base64').toString());
+
+        expect(post.url).toBe('https://media.s3.eu-west-1.amazonaws.com/');
+        expect(conditions).toContainEqual({ 'Content-Type': 'image/png' });
+        expect(conditions.filter((condition) => Object.keys(condition).some((name) => name.toLowerCase() === 'content-type'))).toHaveLength(1);
+        expect(conditions).toContainEqual(['starts-with', '$key', 'uploads/']);
+    });
+
+    test('createPresignedPost rejects keys and types outside the policy', async () => {
+        await expect(storage.createPresignedPost({ Bucket: 'media', Key: 'other/a.png' }, policy)).rejects.toThrow('outside the allowed prefix');
+        await expect(storage.createPresignedPost({ Bucket: 'media' }, { ...policy, contentType: 'application/pdf' })).rejects.toThrow('is not allowed');
+        await expect(storage.createPresignedPost({ Bucket: 'media' }, {})).rejects.toThrow('requires a Key or a keyPrefix');
+    });
+
+    test('verifyUpload accepts an upload matching the policy given as a MEDIA_TYPES name', async () => {
+        await storage.putObject({ Bucket: 'media', Key: 'uploads/a.png', Body: 'png bytes', ContentType: 'image/png', Metadata: { owner: 'ann' } });
+
+        const { valid, errors, object } = await storage.verifyUpload({ Bucket: 'media', Key: 'uploads/a.png' }, policy);
+
+        expect(errors).toEqual([]);
+        expect(valid).toBe(true);
+        expect(object.ContentLength).toBe(9);
+    });
+
+    test('verifyUpload reports every policy violation and deletes with deleteInvalid', async () => {
+        await storage.putObject({ Bucket: 'media', Key: 'elsewhere/a.jpg', Body: 'x'.repeat(2048), ContentType: 'image/jpeg' });
+
+        const { valid, errors } = await storage.verifyUpload({ Bucket: 'media', Key: 'elsewhere/a.jpg' }, { ...policy, deleteInvalid: true });
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            'Key elsewhere/a.jpg is outside the allowed prefix uploads/',
+            'Content type image/jpeg does not match image/png',
+            'Size 2048 is outside 1-1024 bytes',
+            'Metadata owner does not match'
+        ]);
+        expect(await storage.headObject({ Bucket: 'media', Key: 'elsewhere/a.jpg' })).toBeNull();
+    });
+
+    test('verifyUpload reports a missing object', async () => {
+        expect(await storage.verifyUpload({ Bucket: 'media', Key: 'uploads/missing.png' }, policy))
+            .toEqual({ valid: false, errors: ['Object uploads/missing.png not found'], object: null });
+    });
+});
@@ -0,0 +1,116 @@
+import { encodeCursor, decodeCursor, isValidCursor, nextLink } from '@taleofddh/cursor';
+import { createPaginatedResponse } from '@taleofddh/response';
+import { createMemoryDatabase } from '@taleofddh/database';
+import { validatePagination, validateCursor } from '@taleofddh/validation';
+
+const options = { secret: 'test-secret', scope: 'requests:byStatus' };
+const key = { id: 'k5', status: 'OPEN' };
+
+describe('cursors', () => {
+    test('round-trip a LastEvaluatedKey', () => {
+        const cursor = encodeCursor(key, options);
+
+        expect(cursor).toMatch(/^[\w-]+\.[\w-]+$/);
+        expect(decodeCursor(cursor, options)).toEqual(key);
+        expect(encodeCursor(undefined, options)).toBeNull();
+        expect(decodeCursor(undefined, options)).toBeNull();
+    });
+
+    test('reject tampered, foreign and expired cursors', () => {
+        const cursor = encodeCursor(key, options);
+        const [, signature] = cursor.split('.');
+        const forged = `${Buffer.from(JSON.stringify({ k: { id: 'admin' } })).toString('base64url')}.${signature}`;
+
+        expect(() => decodeCursor(forged, options)).toThrow(expect.objectContaining({ errors: ['Cursor signature does not match'] }));
+        expect(() => decodeCursor(cursor, { ...options, scope: 'other' })).toThrow(expect.objectContaining({ errors: ['Cursor signature does not match'] }));
+        expect(() => decodeCursor(cursor, { ...options, secret: 'other' })).toThrow('Invalid cursor');
+        expect(() => decodeCursor('not-a-cursor', options)).toThrow(expect.objectContaining({ errors: ['Cursor is malformed'] }));
+        expect(isValidCursor(cursor, options)).toBe(true);
+        expect(isValidCursor(forged, options)).toBe(false);
+
+        const expired = encodeCursor(key, { ...options, ttl: -10 });
+        expect(() => decodeCursor(expired, options)).toThrow(expect.objectContaining({ errors: ['Cursor has expired'] }));
+    });
+
+    test('nextLink replaces the cursor parameter and keeps the rest of the query', () => {
+        expect(nextLink('/requests?status=OPEN&cursor=old', 'abc.def')).toBe('/requests?status=OPEN&cursor=abc.def');
+    });
+
+    test('page through a table with signed cursors', async () => {
+        const database = createMemoryDatabase([{ TableName: 'items', KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] }]);
+        for (let index = 0; index < 5; index++) {
+            await database.put({ TableName: 'items', Item: { id: `k${index}` } });
+        }
+
+        const seen = [];
+        let cursor;
+        do {
+            const page = await database.scanAll({ TableName: 'items' }, { limit: 2, cursor, cursorOptions: options });
+            seen.push(...page.items.map((item) => item.id));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(seen.sort()).toEqual(['k0', 'k1', 'k2', 'k3', 'k4']);
+    });
+});
+
+describe('paginated responses', () => {
+    test('replace lastEvaluatedKey with a signed cursor and a next link', () => {
+        const response = createPaginatedResponse([{ id: 1 }], {
+            lastEvaluatedKey: key,
+            url: '/requests?status=OPEN',
+            cursorOptions: options,
+            total: 10
+        });
+        const { pagination } = JSON.parse(response.body);
+
+        expect(decodeCursor(pagination.nextCursor, options)).toEqual(key);
+        expect(pagination).toMatchObject({ count: 1, total: 10, hasMore: true });
+        expect(pagination.links.next).toBe(`/requests?status=OPEN&cursor=${pagination.nextCursor}`);
+    });
+
+    test('never return the url, cursor options or raw key', () => {
+        const pages = [
+            { lastEvaluatedKey: key, url: '/requests', cursorOptions: options },
+            { lastEvaluatedKey: undefined, url: '/requests', cursorOptions: options },
+            { url: '/requests', cursorOptions: options, total: 1 }
+        ];
+
+        for (const pagination of pages) {
+            const body = createPaginatedResponse([], pagination).body;
+
+            expect(body).not.toContain('test-secret');
+            expect(body).not.toContain('cursorOptions');
+            expect(body).not.toContain('lastEvaluatedKey');
+            expect(body).not.toContain('"url"');
+        }
+    });
+});
+
+describe('validatePagination', () => {
+    test('decodes a cursor into startKey', () => {
+        const cursor = encodeCursor(key, options);
+
+        expect(validatePagination({ cursor }, options)).toMatchObject({
+            isValid: true,
+            value: { cursor, startKey: key }
+        });
+        expect(validatePagination({ cursor: `${cursor}x` }, options).isValid).toBe(false);
+    });
+
+    test('rejects a raw lastEvaluatedKey unless explicitly allowed', () => {
+        expect(validatePagination({ lastEvaluatedKey: '{"id":"admin"}' })).toMatchObject({
+            isValid: false,
+            errors: ['lastEvaluatedKey: Use cursor to resume pagination']
+        });
+        expect(validatePagination({ lastEvaluatedKey: 'k5' }, { allowLastEvaluatedKey: true })).toMatchObject({
+            isValid: true,
+            value: { lastEvaluatedKey: 'k5' }
+        });
+    });
+
+    test('validateCursor works when imported on its own', () => {
+        expect(validateCursor(encodeCursor(key, options), options)).toMatchObject({ isValid: true, value: key });
+        expect(validateCursor(undefined, options, true)).toMatchObject({ isValid: false, errors: ['Cursor is required'] });
+    });
+});
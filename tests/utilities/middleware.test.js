@@ -0,0 +1,80 @@
+import { withMiddleware, errorHandlingMiddleware } from '@taleofddh/middleware';
+
+const failingHandler = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    throw new Error('handler failed');
+};
+
+describe('withMiddleware', () => {
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+
+    beforeAll(() => process.on('unhandledRejection', onUnhandled));
+    afterAll(() => process.off('unhandledRejection', onUnhandled));
+    beforeEach(() => {
+        unhandled.length = 0;
+    });
+
+    // Rejections are reported after a turn of the event loop
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    test('middleware see the downstream result and can replace the event', async () => {
+        const order = [];
+        const outer = async (event, context, next) => {
+            order.push('outer before');
+            const response = await next();
+            order.push('outer after');
+            return { ...response, headers: { 'X-Outer': 'yes' } };
+        };
+        const inner = (event, context, next) => next({ ...event, user: 'ann' }, context);
+        const handler = withMiddleware(async (event) => {
+            order.push('handler');
+            return { statusCode: 200, body: event.user };
+        }, outer, inner);
+
+        expect(await handler({}, {})).toEqual({ statusCode: 200, body: 'ann', headers: { 'X-Outer': 'yes' } });
+        expect(order).toEqual(['outer before', 'handler', 'outer after']);
+    });
+
+    test('a middleware returning a response short-circuits the rest', async () => {
+        let ran = false;
+        const deny = () => ({ statusCode: 401 });
+        const handler = withMiddleware(async () => {
+            ran = true;
+            return { statusCode: 200 };
+        }, () => undefined, deny);
+
+        expect(await handler({}, {})).toEqual({ statusCode: 401 });
+        expect(ran).toBe(false);
+    });
+
+    test('errors reach an error handling middleware', async () => {
+        const handler = withMiddleware(failingHandler, errorHandlingMiddleware((error) => ({ statusCode: 500, body: error.message })));
+
+        const response = await handler({}, {});
+
+        expect(response.statusCode).toBe(500);
+    });
+
+    test('a downstream rejection never goes unhandled when the middleware answers itself', async () => {
+        const answersItself = (event, context, next) => {
+            next(event, context);
+            return { statusCode: 202 };
+        };
+
+        expect(await withMiddleware(failingHandler, answersItself)({}, {})).toEqual({ statusCode: 202 });
+        await settle();
+        expect(unhandled).toEqual([]);
+    });
+
+    test('a downstream rejection never goes unhandled when the middleware throws', async () => {
+        const throws = (event, context, next) => {
+            next(event, context);
+            throw new Error('middleware failed');
+        };
+
+        await expect(withMiddleware(failingHandler, throws)({}, {})).rejects.toThrow('middleware failed');
+        await settle();
+        expect(unhandled).toEqual([]);
+    });
+});
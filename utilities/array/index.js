@@ -95,6 +95,26 @@ class ArrayHelper {
         return chunks;
     }
 
+    /**
+     * Map items with an async worker, running at most `concurrency` workers at a time
+     * @param {Array} arr - Items to map
+     * @param {number} concurrency - Maximum number of workers running at once
+     * @param {Function} worker - Async function called with (item, index)
+     * @returns {Promise<Array>} Results in the order of the items
+     */
+    static async mapWithConcurrency(arr, concurrency, worker) {
+        const results = new Array(arr.length);
+        let index = 0;
+        const run = async () => {
+            while (index < arr.length) {
+                const current = index++;
+                results[current] = await worker(arr[current], current);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, arr.length)) }, run));
+        return results;
+    }
+
     /**
      * Flatten nested arrays
      * @param {Array} arr - Array to flatten
@@ -230,6 +250,7 @@ export const distinctObjects = ArrayHelper.distinctObjects.bind(ArrayHelper);
 export const sortBy = ArrayHelper.sortBy.bind(ArrayHelper);
 export const filterBy = ArrayHelper.filterBy.bind(ArrayHelper);
 export const chunk = ArrayHelper.chunk.bind(ArrayHelper);
+export const mapWithConcurrency = ArrayHelper.mapWithConcurrency.bind(ArrayHelper);
 export const flatten = ArrayHelper.flatten.bind(ArrayHelper);
 export const unique = ArrayHelper.unique.bind(ArrayHelper);
 export const intersection = ArrayHelper.intersection.bind(ArrayHelper);
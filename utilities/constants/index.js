@@ -58,6 +58,27 @@ export const AWS_CONFIG = {
   TICKET_TAILOR_ENDPOINT: process.env.TICKET_TAILOR_ENDPOINT
 };
 
+/**
+ * AWS SDK client configuration shared by the service packages
+ */
+export const AWS_CLIENT = {
+  OPTIONS: ['endpoint', 'credentials', 'maxAttempts', 'retryMode', 'customUserAgent'],
+
+  /**
+   * Build an SDK client configuration from service constructor options
+   * @param {Object} options - Constructor options (region and any of OPTIONS)
+   * @param {Array<string>} extraOptions - Client-specific options to pass on as well (e.g. forcePathStyle)
+   * @returns {Object} Client configuration, the region defaulting to the REGION environment variable
+   */
+  getClientConfig: (options = {}, extraOptions = []) => {
+    const config = { region: options.region || process.env.REGION || 'eu-west-1' };
+    [...AWS_CLIENT.OPTIONS, ...extraOptions].filter((name) => options[name] !== undefined).forEach((name) => {
+      config[name] = options[name];
+    });
+    return config;
+  }
+};
+
 /**
  * DynamoDB table naming patterns
  */
@@ -87,6 +108,14 @@ export const TABLE_PATTERNS = {
    */
   getAuditTrailTable: () => {
     return TABLE_PATTERNS.getTableName('auditTrail');
+  },
+
+  /**
+   * Generate idempotency table name
+   * @returns {string} Idempotency table name
+   */
+  getIdempotencyTable: () => {
+    return TABLE_PATTERNS.getTableName('idempotency');
   }
 };
 
@@ -192,7 +221,8 @@ export const REQUEST_ACTIONS = {
   UPDATE: 'Update Request',
   APPROVE: 'Approve Request',
   REJECT: 'Reject Request',
-  COMPLETE: 'Complete Request'
+  COMPLETE: 'Complete Request',
+  DELETE: 'Delete Request'
 };
 
 /**
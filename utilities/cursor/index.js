@@ -0,0 +1,139 @@
+/**
+ * Opaque pagination cursor utilities for Lambda functions
+ * Signs DynamoDB LastEvaluatedKey values so raw keys are never exposed to, or forged by, API clients
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+import { ValidationError } from '@taleofddh/error';
+
+class CursorHelper {
+  /**
+   * Resolve the signing secret
+   * @param {string} secret - Explicit secret (defaults to the CURSOR_SECRET environment variable)
+   * @returns {string} Signing secret
+   */
+  static getSecret(secret) {
+    const resolved = secret || process.env['CURSOR_SECRET'];
+    if (!resolved) {
+      throw new Error('Cursor secret is not configured (set CURSOR_SECRET)');
+    }
+    return resolved;
+  }
+
+  /**
+   * Sign a cursor payload
+   * @param {string} payload - base64url encoded payload
+   * @param {Object} options - Cursor options (secret, scope)
+   * @returns {string} base64url HMAC-SHA256 signature
+   */
+  static sign(payload, options = {}) {
+    return createHmac('sha256', this.getSecret(options.secret))
+      .update(`${options.scope || ''}:${payload}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Encode a LastEvaluatedKey as an opaque cursor
+   * @param {Object} key - DynamoDB LastEvaluatedKey
+   * @param {Object} options - Cursor options
+   * @param {string} options.secret - Signing secret (defaults to CURSOR_SECRET)
+   * @param {string} options.scope - Binds the cursor to one query, e.g. 'requests:byStatus'
+   * @param {number} options.ttl - Seconds until the cursor expires
+   * @returns {string|null} Cursor, or null when there is no next page
+   */
+  static encode(key, options = {}) {
+    if (!key) {
+      return null;
+    }
+
+    const body = { k: key };
+    if (options.ttl) {
+      body.e = Math.floor(Date.now() / 1000) + options.ttl;
+    }
+
+    const payload = Buffer.from(JSON.stringify(body)).toString('base64url');
+    return `${payload}.${this.sign(payload, options)}`;
+  }
+
+  /**
+   * Verify and decode a cursor back into a LastEvaluatedKey
+   * @param {string} cursor - Cursor produced by encode()
+   * @param {Object} options - Same secret and scope used to encode
+   * @returns {Object|null} LastEvaluatedKey, or null when no cursor was given
+   * @throws {ValidationError} When the cursor is malformed, tampered with, for another scope or expired
+   */
+  static decode(cursor, options = {}) {
+    if (!cursor) {
+      return null;
+    }
+
+    const invalid = (reason) => {
+      const error = new ValidationError('Invalid cursor', [reason]);
+      error.errors = [reason];
+      return error;
+    };
+
+    const [payload, signature, extra] = String(cursor).split('.');
+    if (!payload || !signature || extra !== undefined) {
+      throw invalid('Cursor is malformed');
+    }
+
+    const expected = Buffer.from(this.sign(payload, options));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      throw invalid('Cursor signature does not match');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalid('Cursor is malformed');
+    }
+
+    if (body.e && body.e < Math.floor(Date.now() / 1000)) {
+      throw invalid('Cursor has expired');
+    }
+
+    return body.k;
+  }
+
+  /**
+   * Check whether a cursor is valid without throwing
+   * @param {string} cursor - Cursor to check
+   * @param {Object} options - Cursor options
+   * @returns {boolean} True if the cursor decodes
+   */
+  static isValid(cursor, options = {}) {
+    try {
+      return this.decode(cursor, options) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build the link to the next page by setting the cursor query parameter on a URL
+   * @param {string} url - Absolute URL or path of the current request, with any query string
+   * @param {string} cursor - Cursor for the next page
+   * @param {string} param - Query parameter name (default: cursor)
+   * @returns {string|null} Next page link, or null when there is no next page
+   */
+  static nextLink(url, cursor, param = 'cursor') {
+    if (!url || !cursor) {
+      return null;
+    }
+
+    const isAbsolute = /^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+    const parsed = new URL(url, 'http://localhost');
+    parsed.searchParams.set(param, cursor);
+    return isAbsolute ? parsed.toString() : `${parsed.pathname}${parsed.search}`;
+  }
+}
+
+export default CursorHelper;
+
+// Export for convenience with proper binding
+export const encodeCursor = CursorHelper.encode.bind(CursorHelper);
+export const decodeCursor = CursorHelper.decode.bind(CursorHelper);
+export const isValidCursor = CursorHelper.isValid.bind(CursorHelper);
+export const nextLink = CursorHelper.nextLink.bind(CursorHelper);
@@ -98,6 +98,15 @@ class ErrorHandler {
       case 'ResourceNotFoundException':
         return this.createErrorResponse('Resource not found', 404, 'NOT_FOUND', null, correlationId);
       
+      case 'TransactionCanceledException': {
+        // Classify by the first item that caused the cancellation, when the database service attached them
+        const itemError = error.errors && error.errors.find(Boolean);
+        if (itemError) {
+          return this.handleError(itemError, { ...context, correlationId });
+        }
+        return this.createErrorResponse('Transaction cancelled', 409, 'CONFLICT', null, correlationId);
+      }
+      
       case 'ProvisionedThroughputExceededException':
       case 'ThrottlingException':
         return this.createErrorResponse('Service temporarily unavailable. Please try again later.', 503, 'SERVICE_UNAVAILABLE', null, correlationId);
@@ -227,6 +236,7 @@ class ErrorHandler {
     const dynamoErrors = [
       'ConditionalCheckFailedException',
       'ResourceNotFoundException',
+      'TransactionCanceledException',
       'ProvisionedThroughputExceededException',
       'ThrottlingException',
       'ItemCollectionSizeLimitExceededException',
@@ -12,6 +12,7 @@ export * as logger from '@taleofddh/logger';
 export * as middleware from '@taleofddh/middleware';
 export * as constants from '@taleofddh/constants';
 export * as validation from '@taleofddh/validation';
+export * as cursor from '@taleofddh/cursor';
 
 
 // Export default imports for convenience
@@ -23,6 +24,7 @@ export { default as ValidationHelper } from '@taleofddh/validation';
 export { default as MiddlewareHelper } from '@taleofddh/middleware';
 export { default as DateHelper } from '@taleofddh/date';
 export { default as ArrayHelper } from '@taleofddh/array';
+export { default as CursorHelper } from '@taleofddh/cursor';
 
 // Export commonly used functions directly for convenience
 export {
@@ -61,6 +63,7 @@ export {
   sortBy,
   filterBy,
   chunk,
+  mapWithConcurrency,
   flatten,
   unique,
   intersection,
@@ -110,6 +113,7 @@ export {
   HTTP_STATUS,
   ERROR_CODES,
   AWS_CONFIG,
+  AWS_CLIENT,
   TABLE_PATTERNS,
   S3_PATTERNS,
   SNS_PATTERNS,
@@ -145,5 +149,13 @@ export {
   validateUsername,
   validateObject,
   validatePagination,
+  validateCursor,
   PATTERNS as VALIDATION_PATTERNS
-} from '@taleofddh/validation';
\ No newline at end of file
+} from '@taleofddh/validation';
+
+export {
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  nextLink
+} from '@taleofddh/cursor';
\ No newline at end of file
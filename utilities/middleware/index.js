@@ -201,7 +201,7 @@ class MiddlewareHelper {
    * @returns {Function} Middleware function
    */
   static requestLoggingMiddleware(logger) {
-    return function(event, context, next) {
+    return async function(event, context, next) {
       const startTime = Date.now();
       
       // Log incoming request
@@ -217,15 +217,15 @@ class MiddlewareHelper {
       });
       
       try {
-        const result = next(event, context);
+        const result = await next(event, context);
         const duration = Date.now() - startTime;
         
         // Log successful response
         logger.info('Request completed', {
-          statusCode: result.statusCode,
+          statusCode: result?.statusCode,
           duration: `${duration}ms`,
-          responseSize: result.body ? result.body.length : 0,
-          success: result.statusCode < 400
+          responseSize: result?.body ? result.body.length : 0,
+          success: result?.statusCode < 400
         });
         
         return result;
@@ -253,9 +253,9 @@ class MiddlewareHelper {
    * @returns {Function} Middleware function
    */
   static errorHandlingMiddleware(errorHandler) {
-    return function(event, context, next) {
+    return async function(event, context, next) {
       try {
-        return next(event, context);
+        return await next(event, context);
       } catch (error) {
         return errorHandler(error, context);
       }
@@ -333,31 +333,52 @@ class MiddlewareHelper {
 
   /**
    * Create a middleware wrapper for Lambda handlers
+   * Middleware run in order around the handler: next(event, context) resolves to the downstream
+   * response, so middleware can act both before and after the handler. A middleware that returns
+   * without calling next and without a response (statusCode) lets the chain continue. When a
+   * middleware calls next but returns its own result, the handler still runs to completion first.
    * @param {Function} handler - Lambda handler function
    * @param {...Function} middlewares - Middleware functions to apply
    * @returns {Function} Wrapped handler function
    */
   static withMiddleware(handler, ...middlewares) {
     return async function(event, context) {
-      let currentEvent = event;
-      let currentContext = context;
-      
-      // Apply middleware in order
-      for (const middleware of middlewares) {
-        const result = middleware(currentEvent, currentContext, (evt, ctx) => {
-          currentEvent = evt;
-          currentContext = ctx;
-          return null; // Continue to next middleware
-        });
-        
+      const dispatch = async (index, currentEvent, currentContext) => {
+        if (index >= middlewares.length) {
+          return await handler(currentEvent, currentContext);
+        }
+
+        let downstream = null;
+        const next = (evt = currentEvent, ctx = currentContext) => {
+          downstream = dispatch(index + 1, evt, ctx);
+          return downstream;
+        };
+
+        let result;
+        try {
+          result = await middlewares[index](currentEvent, currentContext, next);
+        } catch (error) {
+          // Settle a downstream call the middleware did not await, so it cannot reject unhandled; its own error wins
+          await downstream?.catch(() => null);
+          throw error;
+        }
+
+        if (downstream) {
+          if (result === undefined || result === null) {
+            return await downstream;
+          }
+          // The middleware answered itself: the handler still finishes before the response is returned
+          await downstream.catch(() => null);
+          return result;
+        }
         // If middleware returns a response, return it immediately
         if (result && result.statusCode) {
           return result;
         }
-      }
-      
-      // Execute the actual handler
-      return await handler(currentEvent, currentContext);
+        return dispatch(index + 1, currentEvent, currentContext);
+      };
+
+      return dispatch(0, event, context);
     };
   }
 
@@ -2,6 +2,8 @@
  * HTTP response utilities with CORS headers for Lambda functions
  * Provides consistent response formatting across all lambda modules
  */
+import CursorHelper from '@taleofddh/cursor';
+
 class ResponseHelper {
   /**
    * Default CORS headers used across all responses
@@ -169,17 +171,34 @@ class ResponseHelper {
 
   /**
    * Create a paginated response
+   * A lastEvaluatedKey in the metadata is replaced by a signed nextCursor, with hasMore and a next link
    * @param {Array} items - Array of items
    * @param {Object} pagination - Pagination metadata
+   * @param {Object} pagination.lastEvaluatedKey - DynamoDB LastEvaluatedKey of the page, never sent as is
+   * @param {string} pagination.url - Current request URL or path, used to build links.next
+   * @param {Object} pagination.cursorOptions - Cursor options (secret, scope, ttl)
    * @param {string} correlationId - Correlation ID for request tracking
    * @returns {Object} API Gateway response object
    */
   static paginated(items, pagination = {}, correlationId = null) {
+    const { lastEvaluatedKey, url, cursorOptions, ...metadata } = pagination;
+    const isCursorPage = 'lastEvaluatedKey' in pagination || 'nextCursor' in pagination;
+
+    if (isCursorPage) {
+      const nextCursor = metadata.nextCursor || CursorHelper.encode(lastEvaluatedKey, cursorOptions);
+      metadata.nextCursor = nextCursor;
+      metadata.hasMore = Boolean(nextCursor);
+      if (url) {
+        metadata.links = { ...metadata.links, next: CursorHelper.nextLink(url, nextCursor) };
+      }
+    }
+
     const data = {
       items,
       pagination: {
         count: items.length,
-        ...pagination
+        // url, cursorOptions (with its secret) and a raw lastEvaluatedKey never reach the client
+        ...metadata
       }
     };
     return this.success(data, 200, correlationId);
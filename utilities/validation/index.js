@@ -2,6 +2,8 @@
  * Input validation and data sanitization utilities for Lambda functions
  * Provides common validation patterns and sanitization functions
  */
+import CursorHelper from '@taleofddh/cursor';
+
 class ValidationHelper {
   /**
    * Common regex patterns for validation
@@ -362,18 +364,52 @@ class ValidationHelper {
   }
 
   /**
-   * Validate pagination parameters
+   * Validate a signed pagination cursor
+   * @param {string} value - Cursor to validate
+   * @param {Object} options - Cursor options (secret, scope) used when it was encoded
+   * @param {boolean} required - Whether cursor is required
+   * @returns {ValidationResult} Validation result with the decoded LastEvaluatedKey as value
+   */
+  static validateCursor(value, options = {}, required = false) {
+    if (!value) {
+      return required 
+        ? this.createValidationResult(false, ['Cursor is required'])
+        : this.createValidationResult(true, [], null);
+    }
+
+    try {
+      return this.createValidationResult(true, [], CursorHelper.decode(value, options));
+    } catch (error) {
+      return this.createValidationResult(false, error.errors || [error.message]);
+    }
+  }
+
+  /**
+   * Validate pagination parameters. Pages resume from a signed cursor only; a raw lastEvaluatedKey is
+   * rejected unless the deprecated allowLastEvaluatedKey option is set.
    * @param {Object} params - Pagination parameters
-   * @returns {ValidationResult} Validation result
+   * @param {Object} options - Cursor options (secret, scope) for the cursor parameter, plus allowLastEvaluatedKey
+   * @returns {ValidationResult} Validation result; a valid cursor is decoded into value.startKey
    */
-  static validatePagination(params = {}) {
+  static validatePagination(params = {}, options = {}) {
+    const { allowLastEvaluatedKey = false, ...cursorOptions } = options;
     const validators = {
       limit: (value) => this.validateInteger(value, 1, 100, 'Limit', false) || { isValid: true, value: 20 },
       offset: (value) => this.validateInteger(value, 0, Number.MAX_SAFE_INTEGER, 'Offset', false) || { isValid: true, value: 0 },
-      lastEvaluatedKey: (value) => this.validateStringLength(value, 1, 1000, 'LastEvaluatedKey', false)
+      cursor: (value) => this.validateCursor(value, cursorOptions, false)
     };
+    if (allowLastEvaluatedKey) {
+      validators.lastEvaluatedKey = (value) => this.validateStringLength(value, 1, 1000, 'LastEvaluatedKey', false);
+    } else if (params && params.lastEvaluatedKey !== undefined) {
+      return this.createValidationResult(false, ['lastEvaluatedKey: Use cursor to resume pagination']);
+    }
 
-    return this.validateObject(params, validators);
+    const result = this.validateObject(params, validators);
+    if (result.isValid && result.value.cursor) {
+      result.value.startKey = result.value.cursor;
+      result.value.cursor = params.cursor;
+    }
+    return result;
   }
 
   /**
@@ -426,6 +462,9 @@ export const {
   validatePhone,
   validateUsername,
   validateObject,
-  validatePagination,
   PATTERNS
-} = ValidationHelper;
\ No newline at end of file
+} = ValidationHelper;
+
+// These call other helpers through `this`, so they are exported bound
+export const validatePagination = ValidationHelper.validatePagination.bind(ValidationHelper);
+export const validateCursor = ValidationHelper.validateCursor.bind(ValidationHelper);
\ No newline at end of file